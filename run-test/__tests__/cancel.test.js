@@ -0,0 +1,82 @@
+/**
+ * Unit tests for cancelling on runner signals, src/cancel.js
+ */
+
+// Never opened: rejected cancel requests skip the confirmation stream
+jest.mock(
+  'eventsource',
+  () => {
+    return jest.fn().mockImplementation(function () {
+      this.addEventListener = () => {}
+      this.close = () => {}
+    })
+  },
+  { virtual: true }
+)
+
+describe('registerCancelOnSignal', () => {
+  let mockHttpClient
+  let core
+  let registerCancelOnSignal
+  let exit
+
+  beforeEach(() => {
+    jest.resetModules()
+
+    jest.mock(
+      '@actions/core',
+      () => ({
+        info: jest.fn(),
+        debug: jest.fn(),
+        notice: jest.fn(),
+        warning: jest.fn(),
+        saveState: jest.fn()
+      }),
+      { virtual: true }
+    )
+
+    // Rejected requests skip waiting for a confirmation
+    mockHttpClient = {
+      postJson: jest.fn().mockResolvedValue({ statusCode: 404, result: {} })
+    }
+    jest.mock(
+      '@actions/http-client',
+      () => ({
+        HttpClient: jest.fn(() => mockHttpClient)
+      }),
+      { virtual: true }
+    )
+
+    core = require('@actions/core')
+    registerCancelOnSignal = require('../src/cancel').registerCancelOnSignal
+    exit = jest.spyOn(process, 'exit').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    exit.mockRestore()
+  })
+
+  it('cancels once when the runner sends SIGINT and then SIGTERM', async () => {
+    const unregister = registerCancelOnSignal(
+      [{ taskId: 'task_1', isWorkflow: false }],
+      'https://device.revyl.ai',
+      'https://backend.revyl.ai',
+      mockHttpClient
+    )
+
+    process.emit('SIGINT', 'SIGINT')
+    process.emit('SIGTERM', 'SIGTERM')
+    await new Promise(resolve => setImmediate(resolve))
+    unregister()
+
+    expect(mockHttpClient.postJson).toHaveBeenCalledTimes(1)
+    expect(mockHttpClient.postJson).toHaveBeenCalledWith(
+      'https://device.revyl.ai/api/cancel_test_async',
+      { task_id: 'task_1' }
+    )
+    expect(core.warning).toHaveBeenCalledWith(
+      'Received SIGINT - cancelling Revyl task task_1'
+    )
+    expect(exit).toHaveBeenCalledTimes(1)
+  })
+})
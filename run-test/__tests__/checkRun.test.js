@@ -0,0 +1,324 @@
+/**
+ * Unit tests for the GitHub Check Run reporter, src/checkRun.js, against a
+ * local stand-in for the GitHub API
+ */
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+
+const results = {
+  task_id: 'task_123',
+  type: 'workflow',
+  name: 'Nightly',
+  status: 'failed',
+  execution_time: '00:01:35',
+  total_tests: 2,
+  passed_tests: 1,
+  failed_tests: 1,
+  tests: [
+    {
+      name: 'Login',
+      status: 'passed',
+      duration: 65,
+      report_link: 'https://app.revyl.ai/tests/report?taskId=child_1',
+      steps: [{ description: 'Open app', status: 'completed' }]
+    },
+    {
+      name: 'Checkout',
+      status: 'failed',
+      duration: 30,
+      report_link: 'https://app.revyl.ai/tests/report?taskId=child_2',
+      error: 'Pay button not found',
+      steps: [
+        { description: 'Add to cart', status: 'completed' },
+        { description: 'Tap pay', status: 'failed' }
+      ]
+    }
+  ]
+}
+
+describe('createCheckRunReporter', () => {
+  let core
+  let createCheckRunReporter
+  let server
+  let requests
+  const originalEnv = { ...process.env }
+
+  beforeEach(async () => {
+    jest.resetModules()
+
+    jest.mock(
+      '@actions/core',
+      () => ({
+        info: jest.fn(),
+        debug: jest.fn(),
+        warning: jest.fn()
+      }),
+      { virtual: true }
+    )
+    jest.mock('eventsource', () => jest.fn(), { virtual: true })
+
+    core = require('@actions/core')
+    ;({ createCheckRunReporter } = require('../src/checkRun'))
+
+    // Minimal GitHub API: create and update check runs
+    requests = []
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', chunk => (body += chunk))
+      req.on('end', () => {
+        requests.push({
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: body ? JSON.parse(body) : null
+        })
+        res.setHeader('Content-Type', 'application/json')
+        res.statusCode = req.method === 'POST' ? 201 : 200
+        res.end(JSON.stringify({ id: 77 }))
+      })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+    const eventPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'revyl-event-')),
+      'event.json'
+    )
+    fs.writeFileSync(
+      eventPath,
+      JSON.stringify({
+        number: 42,
+        pull_request: { head: { sha: 'head_sha' } }
+      })
+    )
+
+    process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`
+    process.env.GITHUB_REPOSITORY = 'acme/app'
+    process.env.GITHUB_EVENT_NAME = 'pull_request'
+    process.env.GITHUB_EVENT_PATH = eventPath
+    process.env.GITHUB_SHA = 'merge_sha'
+    process.env.GITHUB_RUN_ID = '99'
+    process.env.GITHUB_WORKFLOW_REF =
+      'acme/app/.github/workflows/ci.yml@refs/pull/42/merge'
+  })
+
+  afterEach(async () => {
+    process.env = { ...originalEnv }
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  it('creates the check run on start and updates it as tests finish', async () => {
+    const reporter = createCheckRunReporter('', 'gh-token')
+
+    reporter.onProgress({
+      type: 'workflow_started',
+      taskId: 'task_123',
+      name: 'Nightly'
+    })
+    reporter.onProgress({
+      type: 'test_started',
+      taskId: 'child_1',
+      name: 'Login'
+    })
+    reporter.onProgress({
+      type: 'test_finished',
+      taskId: 'child_1',
+      name: 'Login',
+      status: 'passed'
+    })
+    await reporter.complete(results)
+
+    const [create, ...updates] = requests
+    expect(create.method).toBe('POST')
+    expect(create.url).toBe('/repos/acme/app/check-runs')
+    expect(create.headers.authorization).toBe('Bearer gh-token')
+    expect(create.body).toMatchObject({
+      name: 'Revyl: Nightly',
+      head_sha: 'head_sha',
+      status: 'in_progress',
+      details_url: 'https://github.com/acme/app/actions/runs/99'
+    })
+
+    expect(updates.every(r => r.method === 'PATCH')).toBe(true)
+    expect(updates.every(r => r.url === '/repos/acme/app/check-runs/77')).toBe(
+      true
+    )
+    expect(updates[1].body.output).toEqual({
+      title: '1/1 tests finished',
+      summary: '- ✅ Login'
+    })
+
+    const final = updates[updates.length - 1].body
+    expect(final.status).toBe('completed')
+    expect(final.conclusion).toBe('failure')
+    expect(final.output.title).toBe('1/2 tests passed')
+    expect(final.output.summary).toContain(
+      '| Checkout | ❌ Failed | 00:00:30 | [View report](https://app.revyl.ai/tests/report?taskId=child_2) |'
+    )
+    expect(final.output.annotations).toEqual([
+      {
+        path: '.github/workflows/ci.yml',
+        start_line: 1,
+        end_line: 1,
+        annotation_level: 'failure',
+        title: 'Checkout failed',
+        message:
+          'Pay button not found\nReport: https://app.revyl.ai/tests/report?taskId=child_2'
+      },
+      {
+        path: '.github/workflows/ci.yml',
+        start_line: 1,
+        end_line: 1,
+        annotation_level: 'failure',
+        title: 'Checkout: step 2 failed',
+        message: 'Tap pay'
+      }
+    ])
+    expect(core.warning).not.toHaveBeenCalled()
+  })
+
+  it('creates a completed check run and batches annotations by 50', async () => {
+    const manySteps = Array.from({ length: 60 }, (_, i) => ({
+      description: `Step ${i + 1}`,
+      status: 'failed'
+    }))
+    const reporter = createCheckRunReporter('Revyl smoke', 'gh-token')
+
+    await reporter.complete({
+      ...results,
+      type: 'test',
+      name: 'Checkout',
+      total_tests: 1,
+      passed_tests: 0,
+      tests: [{ ...results.tests[1], steps: manySteps }]
+    })
+
+    expect(requests.map(r => r.method)).toEqual(['POST', 'PATCH'])
+    expect(requests[0].body).toMatchObject({
+      name: 'Revyl smoke',
+      status: 'completed',
+      conclusion: 'failure'
+    })
+    expect(requests[0].body.output.annotations).toHaveLength(50)
+    expect(requests[1].body.output.annotations).toHaveLength(11)
+    expect(core.info).toHaveBeenCalledWith(
+      '☑️ Completed check run: Revyl smoke'
+    )
+  })
+
+  it('labels flaky tests in the final summary', async () => {
+    const reporter = createCheckRunReporter('', 'gh-token')
+    await reporter.complete({
+      ...results,
+      status: 'completed',
+      tests: [
+        {
+          ...results.tests[1],
+          status: 'passed',
+          original_status: 'failed',
+          flaky: true,
+          reruns: [{ attempt: 1, status: 'completed' }]
+        }
+      ]
+    })
+
+    const final = requests[requests.length - 1].body
+    expect(final.conclusion).toBe('success')
+    expect(final.output.summary).toContain(
+      '| Checkout | 🔁 Flaky (passed on rerun 1) | 00:00:30 |'
+    )
+    expect(final.output.annotations).toEqual([])
+  })
+
+  it('concludes with the pass policy decision', async () => {
+    const reporter = createCheckRunReporter('', 'gh-token')
+    await reporter.complete(results, { passed: true, reasons: [] })
+
+    const failing = createCheckRunReporter('', 'gh-token')
+    await failing.complete(
+      { ...results, status: 'completed' },
+      { passed: false, reasons: [] }
+    )
+
+    const cancelled = createCheckRunReporter('', 'gh-token')
+    await cancelled.complete(
+      { ...results, status: 'cancelled' },
+      { passed: false, reasons: [] }
+    )
+
+    expect(requests.map(r => r.body.conclusion)).toEqual([
+      'success',
+      'failure',
+      'cancelled'
+    ])
+  })
+
+  it('concludes with success and warns for quarantined failures', async () => {
+    const reporter = createCheckRunReporter('', 'gh-token')
+    const checkout = results.tests[1]
+    await reporter.complete(results, {
+      passed: true,
+      quarantined: [
+        { test: checkout, entry: { owner: 'payments', reason: 'Flaky pay' } }
+      ],
+      reasons: []
+    })
+
+    const final = requests[requests.length - 1].body
+    expect(final.conclusion).toBe('success')
+    expect(final.output.summary).toContain('| Checkout | ⚠️ Quarantined |')
+    expect(
+      final.output.annotations.map(a => [a.annotation_level, a.title])
+    ).toEqual([
+      ['warning', 'Checkout failed (quarantined)'],
+      ['warning', 'Checkout: step 2 failed']
+    ])
+  })
+
+  it('completes a check run in progress when the run stops with an error', async () => {
+    const reporter = createCheckRunReporter('', 'gh-token')
+
+    reporter.onProgress({
+      type: 'test_started',
+      taskId: 'task_123',
+      name: 'Login'
+    })
+    await reporter.abort(new Error('Failed request: (503)'), 'neutral')
+
+    const final = requests[requests.length - 1]
+    expect(final.method).toBe('PATCH')
+    expect(final.url).toBe('/repos/acme/app/check-runs/77')
+    expect(final.body).toMatchObject({
+      status: 'completed',
+      conclusion: 'neutral',
+      output: {
+        title: 'Run stopped before it finished',
+        summary: 'Failed request: (503)'
+      }
+    })
+  })
+
+  it('leaves a completed or never created check run alone on errors', async () => {
+    await createCheckRunReporter('', 'gh-token').abort(new Error('Too early'))
+    expect(requests).toEqual([])
+
+    const reporter = createCheckRunReporter('', 'gh-token')
+    await reporter.complete(results)
+    await reporter.abort(new Error('Pass policy failed'))
+
+    expect(requests.map(r => r.method)).toEqual(['POST'])
+  })
+
+  it('warns instead of failing when GitHub rejects the request', async () => {
+    process.env.GITHUB_API_URL = 'http://127.0.0.1:1'
+    const reporter = createCheckRunReporter('', 'gh-token')
+
+    await expect(
+      reporter.complete({ ...results, status: 'completed' })
+    ).resolves.toBeUndefined()
+    expect(core.warning).toHaveBeenCalledWith(
+      expect.stringContaining('Failed to update check run')
+    )
+  })
+})
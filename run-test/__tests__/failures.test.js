@@ -0,0 +1,100 @@
+/**
+ * Unit tests for failure classification, src/failures.js
+ */
+
+describe('failure classification', () => {
+  let classifyFailure
+  let classifyError
+
+  beforeEach(() => {
+    jest.resetModules()
+    jest.mock('@actions/core', () => ({ debug: jest.fn() }), { virtual: true })
+    jest.mock('@actions/http-client', () => ({}), { virtual: true })
+    ;({ classifyFailure, classifyError } = require('../src/failures'))
+  })
+
+  it.each([
+    'Device provisioning failed',
+    'No available devices found for Pixel 7',
+    'Device is offline',
+    'Lost connection to the device',
+    'Simulator did not boot',
+    'Failed to allocate emulator',
+    'App installation failed'
+  ])('classifies the device error "%s" as infrastructure', error => {
+    expect(classifyFailure({ status: 'failed', error })).toBe('infrastructure')
+  })
+
+  it.each([
+    'Live stream player not visible',
+    'Connection lost banner shown',
+    'Expected SSE badge on the dashboard',
+    'Reinstall failed message was not displayed',
+    'Provisioning profile screen did not open'
+  ])('classifies the app assertion "%s" as a test failure', error => {
+    expect(classifyFailure({ status: 'failed', error })).toBe('test_failure')
+  })
+
+  it('classifies failures in setup or teardown as infrastructure', () => {
+    expect(
+      classifyFailure({
+        status: 'failed',
+        phase: 'device_setup',
+        error: 'Login button not found'
+      })
+    ).toBe('infrastructure')
+  })
+
+  it.each([
+    'SSE connection failed: socket hang up',
+    'connect ECONNREFUSED 10.0.0.1:443',
+    'Failed to queue test: API returned status code 503'
+  ])('classifies the action error "%s" as infrastructure', message => {
+    expect(classifyError(new Error(message))).toBe('infrastructure')
+  })
+
+  it('classifies HTTP client errors by their status code', () => {
+    const httpClientError = (statusCode, message) =>
+      Object.assign(new Error(message), { name: 'HttpClientError', statusCode })
+
+    expect(classifyError(httpClientError(503, 'Failed request: (503)'))).toBe(
+      'infrastructure'
+    )
+    expect(classifyError(httpClientError(408, 'Request timeout'))).toBe(
+      'infrastructure'
+    )
+    expect(classifyError(httpClientError(429, 'Too many requests'))).toBe(
+      'infrastructure'
+    )
+    expect(classifyError(httpClientError(422, 'Stream id is invalid'))).toBe(
+      'configuration'
+    )
+  })
+
+  it('classifies explicit stream error events by their status', () => {
+    expect(classifyError(new Error('SSE error: Invalid API key'))).toBe(
+      'configuration'
+    )
+    expect(
+      classifyError(
+        Object.assign(new Error('SSE error: Backend overloaded'), {
+          statusCode: 503
+        })
+      )
+    ).toBe('infrastructure')
+    expect(classifyError(new Error('SSE stream stalled for 120s'))).toBe(
+      'infrastructure'
+    )
+  })
+
+  it('classifies other action errors as configuration', () => {
+    expect(
+      classifyError(
+        new Error('Failed to queue test: API returned status code 404')
+      )
+    ).toBe('configuration')
+    expect(classifyError(new Error('Invalid max-parallel'))).toBe(
+      'configuration'
+    )
+  })
+})
@@ -2,17 +2,39 @@
  * Unit tests for the action's entrypoint, src/index.js
  */
 
-const { run } = require('../src/main')
-
-// Mock the action's entrypoint
+// Mock the action's entrypoints
 jest.mock('../src/main', () => ({
   run: jest.fn()
 }))
+jest.mock('../src/post', () => ({
+  runPost: jest.fn(),
+  isPostStep: jest.fn()
+}))
 
 describe('index', () => {
+  beforeEach(() => {
+    jest.resetModules()
+  })
+
   it('calls run when imported', async () => {
+    const { run } = require('../src/main')
+    const { runPost, isPostStep } = require('../src/post')
+    isPostStep.mockReturnValue(false)
+
     require('../src/index')
 
     expect(run).toHaveBeenCalled()
+    expect(runPost).not.toHaveBeenCalled()
+  })
+
+  it('calls runPost when imported as the post step', async () => {
+    const { run } = require('../src/main')
+    const { runPost, isPostStep } = require('../src/post')
+    isPostStep.mockReturnValue(true)
+
+    require('../src/index')
+
+    expect(runPost).toHaveBeenCalled()
+    expect(run).not.toHaveBeenCalled()
   })
 })
@@ -1,3 +1,7 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
 // Mock EventSource to immediately emit completion events
 jest.mock(
   'eventsource',
@@ -11,54 +15,100 @@ jest.mock(
         if (this.onopen) this.onopen()
         if (this.listeners['connection_ready']) {
           this.listeners['connection_ready']({
-            data: JSON.stringify({ org_id: 'org_123' })
+            data: JSON.stringify({ org_id: 'org_123' }),
+            lastEventId: 'evt_1'
           })
         }
-        const ev = global.__MOCK_EVENT__ || 'test_completed'
+        // A sequence lets consecutive connections emit different events, and
+        // a list emits several events on one connection
+        const sequence = global.__MOCK_EVENT_SEQUENCE__
+        const events =
+          (sequence && sequence.shift()) ||
+          global.__MOCK_EVENT__ ||
+          'test_completed'
         const taskId = global.__MOCK_TASK_ID__ || 'task_1'
-
-        // Handle test_started event (for no-wait mode)
-        if (ev === 'test_started' && this.listeners['test_started']) {
-          this.listeners['test_started']({
-            data: JSON.stringify({
-              test: { task_id: taskId, test_name: 'Sample Test' }
+        ;[].concat(events).forEach(ev => {
+          // Handle test_started event (for no-wait mode)
+          if (ev === 'test_started' && this.listeners['test_started']) {
+            this.listeners['test_started']({
+              data: JSON.stringify({
+                test: { task_id: taskId, test_name: 'Sample Test' }
+              })
             })
-          })
-        }
+          }
 
-        // Handle workflow_started event (for no-wait mode)
-        if (ev === 'workflow_started' && this.listeners['workflow_started']) {
-          this.listeners['workflow_started']({
-            data: JSON.stringify({
-              workflow: {
-                workflow_name: 'Sample Workflow',
-                task: { task_id: taskId, total_tests: 3 }
-              }
+          // Handle workflow_started event (for no-wait mode)
+          if (ev === 'workflow_started' && this.listeners['workflow_started']) {
+            this.listeners['workflow_started']({
+              data: JSON.stringify({
+                workflow: {
+                  workflow_name: 'Sample Workflow',
+                  task: { task_id: taskId, total_tests: 3 }
+                }
+              })
             })
-          })
-        }
-
-        if (ev === 'test_completed' && this.listeners['test_completed']) {
-          this.listeners['test_completed']({
-            data: JSON.stringify({ task_id: taskId, test_name: 'Sample' })
-          })
-        }
-        if (
-          ev === 'workflow_completed' &&
-          this.listeners['workflow_completed']
-        ) {
-          this.listeners['workflow_completed']({
-            data: JSON.stringify({
-              task_id: taskId,
-              workflow_results: {
-                total_tests: 2,
-                completed_tests: 2,
-                passed_tests: 2,
-                failed_tests: 0
+            if (this.listeners['test_started']) {
+              for (let i = 1; i <= 3; i++) {
+                this.listeners['test_started']({
+                  data: JSON.stringify({
+                    test: {
+                      task_id: `${taskId}_child_${i}`,
+                      test_name: `Child Test ${i}`,
+                      parent_workflow_task_id: taskId
+                    }
+                  })
+                })
               }
+            }
+          }
+
+          if (ev === 'test_completed' && this.listeners['test_completed']) {
+            // Several tasks can finish on one shared connection
+            const completed = global.__MOCK_COMPLETED_TASK_IDS__ || [taskId]
+            completed.forEach(id =>
+              this.listeners['test_completed']({
+                data: JSON.stringify({ task_id: id, test_name: 'Sample' })
+              })
+            )
+          }
+          // Simulate a proxy killing the stream
+          if (ev === 'sse_error' && this.onerror) {
+            this.onerror({ message: 'Connection reset by proxy' })
+          }
+          // Simulate the server rejecting the stream with an explicit error
+          if (ev === 'sse_error_event' && this.listeners['error']) {
+            this.listeners['error']({
+              data: JSON.stringify({ error: 'Stream unavailable' })
             })
-          })
-        }
+          }
+          // Simulate connecting when nothing of ours is running any more
+          if (ev === 'initial_state' && this.listeners['initial_state']) {
+            this.listeners['initial_state']({
+              data: JSON.stringify({ running_tests: [], running_workflows: [] })
+            })
+          }
+          if (ev === 'test_cancelled' && this.listeners['test_cancelled']) {
+            this.listeners['test_cancelled']({
+              data: JSON.stringify({ task_id: taskId, test_name: 'Sample' })
+            })
+          }
+          if (
+            ev === 'workflow_completed' &&
+            this.listeners['workflow_completed']
+          ) {
+            this.listeners['workflow_completed']({
+              data: JSON.stringify({
+                task_id: taskId,
+                workflow_results: {
+                  total_tests: 2,
+                  completed_tests: 2,
+                  passed_tests: 2,
+                  failed_tests: 0
+                }
+              })
+            })
+          }
+        })
       })
       this.close = () => {}
     })
@@ -95,15 +145,21 @@ describe('run function', () => {
         getInput: jest.fn(),
         setFailed: jest.fn(),
         setOutput: jest.fn(),
+        setSecret: jest.fn(),
         startGroup: jest.fn(),
         endGroup: jest.fn(),
         notice: jest.fn(),
         info: jest.fn(),
+        debug: jest.fn(),
         warning: jest.fn(),
         error: jest.fn(),
+        saveState: jest.fn(),
+        getState: jest.fn(),
         summary: {
           addHeading: jest.fn().mockReturnThis(),
           addRaw: jest.fn().mockReturnThis(),
+          addTable: jest.fn().mockReturnThis(),
+          addList: jest.fn().mockReturnThis(),
           write: jest.fn().mockResolvedValue(undefined)
         }
       }),
@@ -112,7 +168,8 @@ describe('run function', () => {
 
     mockHttpClient = {
       postJson: jest.fn(),
-      getJson: jest.fn()
+      getJson: jest.fn(),
+      get: jest.fn()
     }
     jest.mock(
       '@actions/http-client',
@@ -251,68 +308,169 @@ describe('run function', () => {
     expect(core.setFailed).not.toHaveBeenCalled()
   })
 
-  it('fails if API request returns non-200', async () => {
+  it('passes build version overrides to a workflow execution', async () => {
     process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_wf_build'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT__ = 'workflow_completed'
+
     core.getInput.mockImplementation(name => {
       const map = {
-        'test-id': 'test_123',
-        'workflow-id': null,
+        'workflow-id': 'wf_123',
         retries: '0',
-        'build-version-id': null,
+        'build-version-id': 'build_default',
+        'build-version-ids':
+          '{ "iOS": "build_ios", "android": "build_android" }',
         timeout: '5',
         'no-wait': ''
       }
       return map[name]
     })
 
-    mockHttpClient.postJson.mockResolvedValue({ statusCode: 500, result: {} })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(mockHttpClient.postJson).toHaveBeenCalledWith(
+      'https://device.revyl.ai/api/execute_workflow_id_async',
+      {
+        workflow_id: 'wf_123',
+        retries: '0',
+        build_version_id: 'build_default',
+        build_version_ids: { ios: 'build_ios', android: 'build_android' }
+      }
+    )
+    expect(core.setFailed).not.toHaveBeenCalled()
+  })
+
+  it('rejects build-version-ids with an unknown platform', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'workflow-id': 'wf_123',
+        'build-version-ids': '{ "web": "build_web" }',
+        'no-wait': ''
+      }
+      return map[name]
+    })
 
     const main = require('../src/main')
     await main.run()
 
     expect(core.setFailed).toHaveBeenCalledWith(
-      'Failed to queue test: API returned status code 500'
+      "Invalid build-version-ids: unknown platform 'web' (expected one of: ios, android)"
     )
+    expect(mockHttpClient.postJson).not.toHaveBeenCalled()
   })
 
-  it('fails if task_id missing in API response', async () => {
+  it('resolves latest-for-branch to a build version before queuing', async () => {
     process.env['REVYL_API_KEY'] = 'test-token'
+    process.env['GITHUB_REF_NAME'] = 'release/2.0'
+    const taskId = 'task_test_build'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT__ = 'test_completed'
+
     core.getInput.mockImplementation(name => {
       const map = {
         'test-id': 'test_123',
-        'workflow-id': null,
         retries: '0',
-        'build-version-id': null,
+        'build-var-id': 'var_1',
+        'build-version': 'latest-for-branch',
         timeout: '5',
         'no-wait': ''
       }
       return map[name]
     })
 
-    mockHttpClient.postJson.mockResolvedValue({ statusCode: 200, result: {} })
+    mockHttpClient.getJson.mockImplementation(async url =>
+      url === 'https://backend.revyl.ai/api/v1/builds/vars/var_1/versions'
+        ? {
+            statusCode: 200,
+            result: [
+              {
+                id: 'bv_main',
+                version: 'def456',
+                metadata: { branch: 'main' },
+                created_at: '2026-01-03T00:00:00Z'
+              },
+              {
+                id: 'bv_old',
+                version: 'abc123',
+                metadata: { branch: 'release/2.0' },
+                created_at: '2026-01-01T00:00:00Z'
+              },
+              {
+                id: 'bv_new',
+                version: 'abc789',
+                metadata: { branch: 'release/2.0' },
+                created_at: '2026-01-02T00:00:00Z'
+              }
+            ]
+          }
+        : undefined
+    )
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(mockHttpClient.postJson).toHaveBeenCalledWith(
+      'https://device.revyl.ai/api/execute_test_id_async',
+      { test_id: 'test_123', retries: '0', build_version_id: 'bv_new' }
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      '📦 Resolved build latest-for-branch → abc789 (bv_new)'
+    )
+    expect(core.setFailed).not.toHaveBeenCalled()
+  })
+
+  it('fails before queuing when the build version does not exist', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'workflow-id': 'wf_123',
+        'build-var-id': 'var_1',
+        'build-version': 'abc123',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.getJson.mockResolvedValue({
+      statusCode: 200,
+      result: { versions: [{ id: 'bv_1', version: 'def456' }] }
+    })
 
     const main = require('../src/main')
     await main.run()
 
     expect(core.setFailed).toHaveBeenCalledWith(
-      'Failed to queue test: task_id missing in API response'
+      "No build version 'abc123' found for build-var-id var_1"
     )
+    expect(mockHttpClient.postJson).not.toHaveBeenCalled()
   })
 
-  it('waits for start then exits in no-wait mode for tests', async () => {
+  it('sends variables with the execution and masks secret values', async () => {
     process.env['REVYL_API_KEY'] = 'test-token'
-    const taskId = 'task_nowait_123'
+    const taskId = 'task_wf_vars'
     global.__MOCK_TASK_ID__ = taskId
-    global.__MOCK_EVENT__ = 'test_started'
+    global.__MOCK_EVENT__ = 'workflow_completed'
 
     core.getInput.mockImplementation(name => {
       const map = {
-        'test-id': 'test_123',
-        'workflow-id': null,
+        'workflow-id': 'wf_123',
         retries: '0',
-        'build-version-id': null,
+        variables: 'PREVIEW_URL: https://pr-42.example.com\nNEW_CHECKOUT: true',
+        'secret-variables':
+          '{ "PASSWORD": "hunter2", "CERT": "line one\\nline two" }',
         timeout: '5',
-        'no-wait': 'true'
+        'no-wait': ''
       }
       return map[name]
     })
@@ -325,30 +483,93 @@ describe('run function', () => {
     const main = require('../src/main')
     await main.run()
 
-    // Should queue the test and set outputs
     expect(mockHttpClient.postJson).toHaveBeenCalledWith(
-      'https://device.revyl.ai/api/execute_test_id_async',
-      expect.any(Object)
+      'https://device.revyl.ai/api/execute_workflow_id_async',
+      {
+        workflow_id: 'wf_123',
+        retries: '0',
+        variables: {
+          PREVIEW_URL: 'https://pr-42.example.com',
+          NEW_CHECKOUT: 'true',
+          PASSWORD: 'hunter2',
+          CERT: 'line one\nline two'
+        }
+      }
+    )
+    expect(core.setSecret.mock.calls.map(([value]) => value)).toEqual([
+      'hunter2',
+      'line one\nline two',
+      'line one',
+      'line two'
+    ])
+    expect(core.info).toHaveBeenCalledWith(
+      '🔧 Variables: PREVIEW_URL, NEW_CHECKOUT, PASSWORD, CERT'
     )
-    expect(core.setOutput).toHaveBeenCalledWith('task_id', taskId)
-    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
     expect(core.setFailed).not.toHaveBeenCalled()
   })
 
-  it('waits for start then exits in no-wait mode for workflows', async () => {
+  it('sends date-like and yes/no variable values as written', async () => {
     process.env['REVYL_API_KEY'] = 'test-token'
-    const taskId = 'task_wf_nowait_123'
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        variables: 'RELEASE: 2024-01-01\nDARK_MODE: yes\nRETRY: true',
+        'no-wait': 'true'
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: 'task_1' }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(mockHttpClient.postJson).toHaveBeenCalledWith(
+      'https://device.revyl.ai/api/execute_test_id_async',
+      expect.objectContaining({
+        variables: { RELEASE: '2024-01-01', DARK_MODE: 'yes', RETRY: 'true' }
+      })
+    )
+  })
+
+  it('rejects variables that are not a map', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        variables: '- just\n- a list',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Invalid variables: expected a JSON or YAML map of name to value'
+    )
+    expect(mockHttpClient.postJson).not.toHaveBeenCalled()
+  })
+
+  it('forwards device targeting to the execution and outputs the device', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_test_device'
     global.__MOCK_TASK_ID__ = taskId
-    global.__MOCK_EVENT__ = 'workflow_started'
+    global.__MOCK_EVENT__ = 'test_completed'
 
     core.getInput.mockImplementation(name => {
       const map = {
-        'test-id': null,
-        'workflow-id': 'wf_123',
+        'test-id': 'test_123',
         retries: '0',
-        'build-version-id': null,
+        'device-model': 'Pixel 4',
+        'os-version': '10',
+        orientation: 'Landscape',
+        locale: 'de-DE',
         timeout: '5',
-        'no-wait': 'true'
+        'no-wait': ''
       }
       return map[name]
     })
@@ -362,17 +583,1911 @@ describe('run function', () => {
     await main.run()
 
     expect(mockHttpClient.postJson).toHaveBeenCalledWith(
-      'https://device.revyl.ai/api/execute_workflow_id_async',
-      expect.any(Object)
+      'https://device.revyl.ai/api/execute_test_id_async',
+      {
+        test_id: 'test_123',
+        retries: '0',
+        device_model: 'Pixel 4',
+        os_version: '10',
+        orientation: 'landscape',
+        locale: 'de-DE'
+      }
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      '📱 Device: Pixel 4, OS 10, landscape, de-DE'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'device',
+      'Pixel 4, OS 10, landscape, de-DE'
     )
-    expect(core.setOutput).toHaveBeenCalledWith('task_id', taskId)
-    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
     expect(core.setFailed).not.toHaveBeenCalled()
   })
 
+  it('rejects an unknown orientation', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        orientation: 'sideways',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      "Invalid orientation 'sideways' (expected one of: portrait, landscape)"
+    )
+    expect(mockHttpClient.postJson).not.toHaveBeenCalled()
+  })
+
+  it('fails if API request returns non-200', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'workflow-id': null,
+        retries: '0',
+        'build-version-id': null,
+        timeout: '5',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+
+    mockHttpClient.postJson.mockResolvedValue({ statusCode: 500, result: {} })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Failed to queue test: API returned status code 500'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'failure_category',
+      'infrastructure'
+    )
+  })
+
+  describe('on-infra-error', () => {
+    const runWithPolicy = async (policy, queueResponse, inputs = {}) => {
+      process.env['REVYL_API_KEY'] = 'test-token'
+      core.getInput.mockImplementation(name => {
+        const map = {
+          'test-id': 'test_123',
+          'monitor-mode': 'poll',
+          'on-infra-error': policy,
+          timeout: '5',
+          ...inputs
+        }
+        return map[name] || ''
+      })
+      mockHttpClient.postJson.mockImplementation(queueResponse)
+
+      const main = require('../src/main')
+      return main.run()
+    }
+    // What @actions/http-client rejects with for error statuses other than 404
+    const httpClientError = (statusCode, message) =>
+      Object.assign(new Error(message), { name: 'HttpClientError', statusCode })
+
+    it('passes with a warning when queuing hits a server error', async () => {
+      await runWithPolicy('warn', async () => {
+        throw httpClientError(503, 'Failed request: (503)')
+      })
+
+      expect(core.setFailed).not.toHaveBeenCalled()
+      expect(core.warning).toHaveBeenCalledWith(
+        'Revyl infrastructure error: Failed request: (503) - not failing the step (on-infra-error: warn)',
+        { title: 'Revyl infrastructure error' }
+      )
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'skipped_reason',
+        'Revyl infrastructure error: Failed request: (503)'
+      )
+      expect(core.setOutput).toHaveBeenCalledWith('success', 'false')
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'failure_category',
+        'infrastructure'
+      )
+    })
+
+    it('skips on a network error', async () => {
+      await runWithPolicy('skip', async () => {
+        throw new Error('connect ECONNREFUSED 10.0.0.1:443')
+      })
+
+      expect(core.setFailed).not.toHaveBeenCalled()
+      expect(core.notice).toHaveBeenCalledWith(
+        'Revyl infrastructure error: connect ECONNREFUSED 10.0.0.1:443 - skipped (on-infra-error: skip)'
+      )
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'skipped_reason',
+        'Revyl infrastructure error: connect ECONNREFUSED 10.0.0.1:443'
+      )
+    })
+
+    it('skips when looking up the build version hits a server error', async () => {
+      mockHttpClient.getJson.mockRejectedValue(
+        httpClientError(503, 'Failed request: (503)')
+      )
+      await runWithPolicy('skip', async () => ({ statusCode: 200 }), {
+        'build-var-id': 'var_1',
+        'build-version': 'latest'
+      })
+
+      expect(core.setFailed).not.toHaveBeenCalled()
+      expect(core.notice).toHaveBeenCalledWith(
+        'Revyl infrastructure error: Failed to list build versions for build-var-id var_1: Failed request: (503) - skipped (on-infra-error: skip)'
+      )
+      expect(mockHttpClient.postJson).not.toHaveBeenCalled()
+    })
+
+    it('skips when attaching to a task hits a server error', async () => {
+      mockHttpClient.getJson.mockRejectedValue(
+        httpClientError(502, 'Failed request: (502)')
+      )
+      await runWithPolicy('skip', async () => ({ statusCode: 200 }), {
+        'test-id': '',
+        'task-id': 'task_1'
+      })
+
+      expect(core.setFailed).not.toHaveBeenCalled()
+      expect(core.notice).toHaveBeenCalledWith(
+        'Revyl infrastructure error: Failed request: (502) - skipped (on-infra-error: skip)'
+      )
+    })
+
+    it('skips a batch whose executions all hit a server error', async () => {
+      await runWithPolicy(
+        'skip',
+        async () => {
+          throw httpClientError(503, 'Failed request: (503)')
+        },
+        { 'test-id': '', 'test-ids': 'test_a,test_b' }
+      )
+
+      expect(core.setFailed).not.toHaveBeenCalled()
+      expect(core.notice).toHaveBeenCalledWith(
+        'Revyl infrastructure error: 2 of 2 tests and workflows could not run: test_a (Failed request: (503)), test_b (Failed request: (503)) - skipped (on-infra-error: skip)'
+      )
+    })
+
+    it('still fails a batch when an execution finished with failures', async () => {
+      mockHttpClient.getJson.mockResolvedValue({
+        statusCode: 200,
+        result: { task_id: 'task_b', test_id: 'test_b', status: 'failed' }
+      })
+      await runWithPolicy(
+        'skip',
+        async (url, body) => {
+          if (body.test_id === 'test_a') {
+            throw httpClientError(503, 'Failed request: (503)')
+          }
+          return { statusCode: 200, result: { task_id: 'task_b' } }
+        },
+        { 'test-id': '', 'test-ids': 'test_a,test_b' }
+      )
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        expect.stringMatching(/^2 of 2 tests and workflows did not pass/)
+      )
+      expect(core.setOutput).not.toHaveBeenCalledWith(
+        'skipped_reason',
+        expect.anything()
+      )
+    })
+
+    it('skips when the server is rate limiting', async () => {
+      await runWithPolicy('skip', async () => {
+        throw httpClientError(429, 'Too many requests')
+      })
+
+      expect(core.setFailed).not.toHaveBeenCalled()
+      expect(core.notice).toHaveBeenCalledWith(
+        'Revyl infrastructure error: Too many requests - skipped (on-infra-error: skip)'
+      )
+    })
+
+    it('still fails on a client error or a failed test', async () => {
+      await runWithPolicy('skip', async () => {
+        throw httpClientError(400, 'Invalid build_version_id')
+      })
+
+      expect(core.setFailed).toHaveBeenCalledWith('Invalid build_version_id')
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'failure_category',
+        'configuration'
+      )
+      expect(core.setOutput).not.toHaveBeenCalledWith(
+        'skipped_reason',
+        expect.anything()
+      )
+
+      core.setFailed.mockClear()
+      await runWithPolicy('skip', async () => ({ statusCode: 404, result: {} }))
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Failed to queue test: API returned status code 404'
+      )
+
+      core.setFailed.mockClear()
+      mockHttpClient.getJson.mockResolvedValue({
+        statusCode: 200,
+        result: {
+          task_id: 'task_1',
+          test_id: 'test_123',
+          status: 'failed',
+          error_message: 'Cart total mismatch'
+        }
+      })
+      await runWithPolicy('skip', async () => ({
+        statusCode: 200,
+        result: { task_id: 'task_1' }
+      }))
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        "Test finished with status 'failed'. Check logs or artifacts for details."
+      )
+      expect(core.setOutput).not.toHaveBeenCalledWith(
+        'skipped_reason',
+        expect.anything()
+      )
+    })
+
+    it('rejects an unknown policy', async () => {
+      await runWithPolicy('ignore', async () => {
+        throw httpClientError(503, 'Failed request: (503)')
+      })
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        "Invalid on-infra-error 'ignore' (expected one of: fail, warn, skip)"
+      )
+      expect(mockHttpClient.postJson).not.toHaveBeenCalled()
+    })
+  })
+
+  it('fails if task_id missing in API response', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'workflow-id': null,
+        retries: '0',
+        'build-version-id': null,
+        timeout: '5',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+
+    mockHttpClient.postJson.mockResolvedValue({ statusCode: 200, result: {} })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Failed to queue test: task_id missing in API response'
+    )
+  })
+
+  it('waits for start then exits in no-wait mode for tests', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_nowait_123'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT__ = 'test_started'
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'workflow-id': null,
+        retries: '0',
+        'build-version-id': null,
+        timeout: '5',
+        'no-wait': 'true'
+      }
+      return map[name]
+    })
+
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    // Should queue the test and set outputs
+    expect(mockHttpClient.postJson).toHaveBeenCalledWith(
+      'https://device.revyl.ai/api/execute_test_id_async',
+      expect.any(Object)
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('task_id', taskId)
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
+    expect(core.setFailed).not.toHaveBeenCalled()
+  })
+
+  it('waits for start then exits in no-wait mode for workflows', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_wf_nowait_123'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT__ = 'workflow_started'
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': null,
+        'workflow-id': 'wf_123',
+        retries: '0',
+        'build-version-id': null,
+        timeout: '5',
+        'no-wait': 'true'
+      }
+      return map[name]
+    })
+
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(mockHttpClient.postJson).toHaveBeenCalledWith(
+      'https://device.revyl.ai/api/execute_workflow_id_async',
+      expect.any(Object)
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('task_id', taskId)
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
+    expect(core.setFailed).not.toHaveBeenCalled()
+  })
+
+  it('saves the task for the post step and marks it done on completion', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_state_123'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT__ = 'test_completed'
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        timeout: '5',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.saveState).toHaveBeenCalledWith('isPost', 'true')
+    expect(core.saveState).toHaveBeenCalledWith('task_id', taskId)
+    expect(core.saveState).toHaveBeenCalledWith('task_kind', 'test')
+    expect(core.saveState).toHaveBeenCalledWith('task_done', 'true')
+  })
+
+  it('cancels the remote task when monitoring times out', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_timeout_123'
+    global.__MOCK_TASK_ID__ = taskId
+    // The monitor connection sees nothing; the cancel listener sees the event
+    global.__MOCK_EVENT_SEQUENCE__ = ['none', 'test_cancelled']
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        timeout: '1',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(mockHttpClient.postJson).toHaveBeenCalledWith(
+      'https://device.revyl.ai/api/cancel_test_async',
+      { task_id: taskId }
+    )
+    expect(core.notice).toHaveBeenCalledWith(
+      `🚫 Test task ${taskId} cancelled on Revyl`
+    )
+    expect(core.saveState).toHaveBeenCalledWith('task_done', 'true')
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Timeout of 1s reached while waiting for task to finish'
+    )
+  })
+
+  it('fails if task-id is combined with test-id', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_1',
+        'task-id': 'task_1',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Cannot provide task-id together with test-id or workflow-id'
+    )
+  })
+
+  it('fails if task-id matches no test or workflow execution', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = { 'task-id': 'task_missing', 'no-wait': '' }
+      return map[name]
+    })
+    mockHttpClient.getJson.mockResolvedValue({ statusCode: 404, result: null })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(mockHttpClient.postJson).not.toHaveBeenCalled()
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Task task_missing was not found as a test or workflow execution'
+    )
+  })
+
+  it('attaches to a running test by task-id without queuing', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_attach_123'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT__ = 'test_completed'
+
+    core.getInput.mockImplementation(name => {
+      const map = { 'task-id': taskId, timeout: '5', 'no-wait': '' }
+      return map[name]
+    })
+    mockHttpClient.getJson.mockImplementation(async url => {
+      if (url.includes('/workflows/tasks/workflow_task/')) {
+        return { statusCode: 404, result: null }
+      }
+      return {
+        statusCode: 200,
+        result: { task_id: taskId, test_id: 'test_123', status: 'running' }
+      }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(mockHttpClient.getJson).toHaveBeenCalledWith(
+      `https://backend.revyl.ai/api/v1/tests/get_enhanced_test_execution_task?task_id=${taskId}`
+    )
+    expect(mockHttpClient.postJson).not.toHaveBeenCalled()
+    expect(core.setOutput).toHaveBeenCalledWith('task_id', taskId)
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
+    expect(core.setFailed).not.toHaveBeenCalled()
+  })
+
+  it('reports an already-failed workflow when attaching by task-id', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_attach_wf_123'
+    const workflowTask = {
+      task_id: taskId,
+      workflow_id: 'wf_123',
+      workflow_name: 'Nightly',
+      status: 'failed',
+      total_tests: 2,
+      completed_tests: 2,
+      tests: [
+        { status: 'passed' },
+        { status: 'failed', error: 'Login button not found' }
+      ]
+    }
+
+    core.getInput.mockImplementation(name => {
+      const map = { 'task-id': taskId, timeout: '5', 'no-wait': '' }
+      return map[name]
+    })
+    mockHttpClient.getJson.mockResolvedValue({
+      statusCode: 200,
+      result: workflowTask
+    })
+    mockHttpClient.get.mockResolvedValue({
+      message: { statusCode: 200 },
+      readBody: async () => JSON.stringify(workflowTask)
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(mockHttpClient.postJson).not.toHaveBeenCalled()
+    expect(core.setOutput).toHaveBeenCalledWith('passed_tests', '1')
+    expect(core.setOutput).toHaveBeenCalledWith('failed_tests', '1')
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'error_message',
+      'Login button not found'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'false')
+    expect(core.setFailed).toHaveBeenCalledWith(
+      "Workflow finished with status 'failed'. Check logs or artifacts for details."
+    )
+  })
+
+  describe('pass policy', () => {
+    const taskId = 'task_policy_123'
+    const workflowTask = {
+      task_id: taskId,
+      workflow_id: 'wf_123',
+      workflow_name: 'Nightly',
+      status: 'failed',
+      tests: [
+        { test_id: 'test_login', test_name: 'Login', status: 'passed' },
+        { test_id: 'test_search', test_name: 'Search', status: 'passed' },
+        { test_id: 'test_profile', test_name: 'Profile', status: 'passed' },
+        { test_id: 'test_flaky', test_name: 'Flaky Map', status: 'failed' }
+      ]
+    }
+
+    const runWithPolicy = async policy => {
+      process.env['REVYL_API_KEY'] = 'test-token'
+      core.getInput.mockImplementation(name => {
+        const map = { 'task-id': taskId, timeout: '5', ...policy }
+        return map[name] || ''
+      })
+      mockHttpClient.getJson.mockResolvedValue({
+        statusCode: 200,
+        result: workflowTask
+      })
+      mockHttpClient.get.mockResolvedValue({
+        message: { statusCode: 200 },
+        readBody: async () => JSON.stringify(workflowTask)
+      })
+
+      const main = require('../src/main')
+      return main.run()
+    }
+
+    it('passes a failed workflow whose failures are all allowed', async () => {
+      const passed = await runWithPolicy({ 'allowed-failures': 'Flaky Map' })
+
+      expect(passed).toBe(true)
+      expect(core.setFailed).not.toHaveBeenCalled()
+      expect(core.setOutput).toHaveBeenLastCalledWith('success', 'true')
+      expect(core.summary.addHeading).toHaveBeenCalledWith(
+        'Pass Policy: ✅ Step passed',
+        3
+      )
+      expect(core.summary.addList).toHaveBeenCalledWith([
+        '1 allowed failure(s) ignored: Flaky Map',
+        'Every failure is listed in allowed-failures'
+      ])
+    })
+
+    it('passes when the pass rate and failure count are within limits', async () => {
+      await runWithPolicy({ 'min-pass-rate': '75%', 'max-failures': '1' })
+
+      expect(core.setFailed).not.toHaveBeenCalled()
+      expect(core.summary.addList).toHaveBeenCalledWith([
+        'Pass rate 75% meets min-pass-rate 75%',
+        '1 failure(s) within max-failures 1'
+      ])
+    })
+
+    it('fails and explains why when the pass rate is too low', async () => {
+      await runWithPolicy({ 'min-pass-rate': '90' })
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Workflow did not meet the pass policy: Pass rate 75% is below min-pass-rate 90%'
+      )
+      expect(core.summary.addHeading).toHaveBeenCalledWith(
+        'Pass Policy: ❌ Step failed',
+        3
+      )
+    })
+
+    it('reports quarantined failures as warnings and flags expired entries', async () => {
+      const quarantineFile = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), 'revyl-quarantine-')),
+        'quarantine.yml'
+      )
+      fs.writeFileSync(
+        quarantineFile,
+        [
+          '- test: test_flaky',
+          "  owner: '@maps-team'",
+          '  reason: Flaky tile server',
+          '  expires: 2999-01-01',
+          '- test: Search',
+          "  owner: '@search-team'",
+          '  reason: Index rebuild',
+          '  expires: 2020-01-01'
+        ].join('\n')
+      )
+
+      const passed = await runWithPolicy({ 'quarantine-file': quarantineFile })
+
+      expect(passed).toBe(true)
+      expect(core.setFailed).not.toHaveBeenCalled()
+      expect(core.warning).toHaveBeenCalledWith(
+        'Quarantine of Search (owner: @search-team) expired on 2020-01-01 - its failures count again',
+        { title: 'Expired quarantine', file: quarantineFile }
+      )
+      expect(core.warning).toHaveBeenCalledWith(
+        'Quarantined test failed: Flaky Map (owner: @maps-team, reason: Flaky tile server)',
+        { title: 'Quarantined failure' }
+      )
+      expect(core.setOutput).toHaveBeenCalledWith('quarantined_failures', '1')
+      expect(core.summary.addList).toHaveBeenCalledWith([
+        '1 quarantined failure(s) reported as warnings: Flaky Map',
+        'Every failure is quarantined or listed in allowed-failures'
+      ])
+      expect(core.summary.addTable).toHaveBeenCalledWith(
+        expect.arrayContaining([
+          expect.arrayContaining(['Flaky Map', '⚠️ Quarantined'])
+        ])
+      )
+    })
+
+    it('rejects a quarantine entry without an owner', async () => {
+      const quarantineFile = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), 'revyl-quarantine-')),
+        'quarantine.json'
+      )
+      fs.writeFileSync(
+        quarantineFile,
+        JSON.stringify({ quarantine: [{ test: 'Login', reason: 'Flaky' }] })
+      )
+
+      await runWithPolicy({ 'quarantine-file': quarantineFile })
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        `Invalid quarantine-file ${quarantineFile}: entry 1 needs a test ID or name, an owner and a reason`
+      )
+      expect(mockHttpClient.getJson).not.toHaveBeenCalled()
+    })
+
+    it('rejects an invalid max-failures', async () => {
+      await runWithPolicy({ 'max-failures': '-1' })
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        "Invalid max-failures '-1' (expected a non-negative whole number)"
+      )
+    })
+  })
+
+  it('fails on an invalid monitor-mode', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'monitor-mode': 'websocket',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      "Invalid monitor-mode 'websocket' (expected one of: sse, poll, auto)"
+    )
+  })
+
+  it('reports a failed test from the status endpoint in poll mode', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_poll_123'
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'monitor-mode': 'poll',
+        timeout: '5',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+    mockHttpClient.getJson.mockResolvedValue({
+      statusCode: 200,
+      result: {
+        task_id: taskId,
+        test_id: 'test_123',
+        test_name: 'Checkout',
+        status: 'failed',
+        error_message: 'Cart total mismatch',
+        test_history_id: 'hist_1',
+        platform: 'ios'
+      }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    const EventSource = require('eventsource')
+    expect(EventSource).not.toHaveBeenCalled()
+    expect(mockHttpClient.getJson).toHaveBeenCalledWith(
+      `https://backend.revyl.ai/api/v1/tests/get_enhanced_test_execution_task?task_id=${taskId}`
+    )
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'error_message',
+      'Cart total mismatch'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('platform', 'ios')
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'report_link',
+      'https://example.com/report'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'failure_category',
+      'test_failure'
+    )
+    expect(core.setFailed).toHaveBeenCalledWith(
+      "Test finished with status 'failed'. Check logs or artifacts for details."
+    )
+  })
+
+  it('retries a test that failed on infrastructure and classifies the failure', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'monitor-mode': 'poll',
+        'retry-infra-failures': '2',
+        timeout: '5'
+      }
+      return map[name] || ''
+    })
+    mockHttpClient.postJson
+      .mockResolvedValueOnce({ statusCode: 200, result: { task_id: 'task_1' } })
+      .mockResolvedValue({ statusCode: 200, result: { task_id: 'task_2' } })
+    const tasks = {
+      task_1: {
+        status: 'failed',
+        phase: 'device_setup',
+        error_message: 'Could not reach the device'
+      },
+      task_2: { status: 'completed' }
+    }
+    mockHttpClient.getJson.mockImplementation(async url => {
+      const taskId = new URL(url).searchParams.get('task_id')
+      return {
+        statusCode: 200,
+        result: {
+          task_id: taskId,
+          test_id: 'test_123',
+          test_name: 'Checkout',
+          ...tasks[taskId]
+        }
+      }
+    })
+
+    const main = require('../src/main')
+    const passed = await main.run()
+
+    expect(passed).toBe(true)
+    expect(mockHttpClient.postJson).toHaveBeenCalledTimes(2)
+    expect(core.info).toHaveBeenCalledWith(
+      '🔁 Rerun 1/2: 1 tests with infrastructure failures (Checkout)'
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      '🔧 Checkout passed on rerun 1 after an infrastructure failure'
+    )
+    // Passing after an infrastructure failure does not make a test flaky
+    expect(core.warning).not.toHaveBeenCalledWith(
+      expect.stringContaining('Flaky test'),
+      expect.anything()
+    )
+    expect(core.setOutput).not.toHaveBeenCalledWith(
+      'failure_category',
+      expect.anything()
+    )
+    expect(core.setOutput).toHaveBeenLastCalledWith('success', 'true')
+
+    const results = JSON.parse(
+      core.setOutput.mock.calls.find(([name]) => name === 'results-json')[1]
+    )
+    expect(results).toMatchObject({
+      status: 'completed',
+      failure_category: null
+    })
+    expect(results.tests[0]).toMatchObject({
+      status: 'passed',
+      original_status: 'failed',
+      failure_category: 'infrastructure',
+      reruns: [{ attempt: 1, task_id: 'task_2', failure_category: null }]
+    })
+  })
+
+  it('falls back to polling when the SSE stream fails in auto mode', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_auto_123'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT__ = 'sse_error_event'
+
+    core.getInput.mockImplementation(name => {
+      const map = { 'test-id': 'test_123', timeout: '5', 'no-wait': '' }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+    mockHttpClient.getJson.mockResolvedValue({
+      statusCode: 200,
+      result: {
+        task_id: taskId,
+        test_id: 'test_123',
+        status: 'completed',
+        test_history_id: 'hist_1'
+      }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.warning).toHaveBeenCalledWith(
+      'SSE monitoring failed (SSE error: Stream unavailable) - falling back to REST polling'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
+    expect(core.summary.addHeading).toHaveBeenCalledWith(
+      'Test Execution Completed 🎉 ',
+      2
+    )
+    expect(core.setFailed).not.toHaveBeenCalled()
+  })
+
+  it('completes the check run when the stream fails', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    process.env['GITHUB_REPOSITORY'] = 'acme/app'
+    const taskId = 'task_wf_check'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT_SEQUENCE__ = [['workflow_started', 'sse_error_event']]
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'workflow-id': 'wf_123',
+        'check-run': 'true',
+        'github-token': 'gh-token',
+        timeout: '5'
+      }
+      return map[name] || ''
+    })
+    mockHttpClient.postJson.mockImplementation(async url =>
+      url.endsWith('/check-runs')
+        ? { statusCode: 201, result: { id: 77 } }
+        : { statusCode: 200, result: { task_id: taskId } }
+    )
+    mockHttpClient.patchJson = jest.fn().mockResolvedValue({ statusCode: 200 })
+    // Other suites load the real http-client, so hand the mock over directly
+    jest.mock('../src/github', () => ({
+      ...jest.requireActual('../src/github'),
+      createGitHubClient: () => mockHttpClient
+    }))
+
+    const main = require('../src/main')
+    await main.run()
+    delete process.env['GITHUB_REPOSITORY']
+
+    expect(core.setFailed).toHaveBeenCalledWith('SSE error: Stream unavailable')
+    expect(mockHttpClient.patchJson).toHaveBeenLastCalledWith(
+      'https://api.github.com/repos/acme/app/check-runs/77',
+      expect.objectContaining({
+        status: 'completed',
+        conclusion: 'failure',
+        output: {
+          title: 'Run stopped before it finished',
+          summary: 'SSE error: Stream unavailable'
+        }
+      })
+    )
+  })
+
+  it('reconnects to the stream after a dropped connection', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_reconnect_123'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT_SEQUENCE__ = ['sse_error', 'test_completed']
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'monitor-mode': 'sse',
+        timeout: '10',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.warning).toHaveBeenCalledWith(
+      'SSE connection error: Connection reset by proxy'
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      '⏳ Reconnecting in 1s (attempt 1/10)'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
+    expect(core.setFailed).not.toHaveBeenCalled()
+  })
+
+  it('resumes a workflow stream from the last event id after reconnecting', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_resume_123'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT_SEQUENCE__ = ['sse_error', 'workflow_completed']
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'workflow-id': 'wf_123',
+        timeout: '10',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    const EventSource = require('eventsource')
+    expect(EventSource).toHaveBeenCalledTimes(2)
+    expect(EventSource.mock.calls[0][1].headers).toEqual({
+      Authorization: 'Bearer test-token'
+    })
+    expect(EventSource.mock.calls[1][1].headers).toEqual({
+      Authorization: 'Bearer test-token',
+      'Last-Event-ID': 'evt_1'
+    })
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
+    expect(core.setFailed).not.toHaveBeenCalled()
+  })
+
+  it('recovers a test that finished while disconnected from REST', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_recover_123'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT_SEQUENCE__ = ['sse_error', 'initial_state']
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'monitor-mode': 'sse',
+        timeout: '10',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+    mockHttpClient.getJson.mockResolvedValue({
+      statusCode: 200,
+      result: {
+        task_id: taskId,
+        test_id: 'test_123',
+        status: 'failed',
+        error_message: 'Timed out waiting for element',
+        test_history_id: 'hist_1'
+      }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.info).toHaveBeenCalledWith(
+      '🔁 Test finished while disconnected - recovered from REST'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'error_message',
+      'Timed out waiting for element'
+    )
+    expect(core.setFailed).toHaveBeenCalledWith(
+      "Test finished with status 'failed'. Check logs or artifacts for details."
+    )
+  })
+
+  it('forces a reconnect when the stream stalls and logs the recovery', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_stall_123'
+    global.__MOCK_TASK_ID__ = taskId
+    // The first connection stays open but never delivers the completion
+    global.__MOCK_EVENT_SEQUENCE__ = ['silent', 'test_completed']
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'monitor-mode': 'sse',
+        'stall-timeout': '1',
+        timeout: '10',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.warning).toHaveBeenCalledWith(
+      expect.stringMatching(
+        /^⚠️ SSE stream stalled - no heartbeat or events for \d+s, forcing reconnect$/
+      )
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      expect.stringMatching(/^✅ SSE stream recovered after stall \(\d+s\)$/)
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
+    expect(core.setFailed).not.toHaveBeenCalled()
+  })
+
+  it('reconciles a stalled workflow through the REST API', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_stall_wf_123'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT__ = 'silent'
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'workflow-id': 'wf_123',
+        'stall-timeout': '1',
+        timeout: '10',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+    mockHttpClient.get.mockResolvedValue({
+      message: { statusCode: 200 },
+      readBody: async () =>
+        JSON.stringify({
+          status: 'completed',
+          workflow_name: 'Sample Workflow',
+          total_tests: 2,
+          completed_tests: 2,
+          tests: [{ status: 'passed' }, { status: 'passed' }]
+        })
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.info).toHaveBeenCalledWith(
+      'Checking workflow status after stall...'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('passed_tests', '2')
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
+    expect(core.setFailed).not.toHaveBeenCalled()
+  })
+
+  it('writes a JUnit report for a workflow', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_junit_123'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT__ = 'workflow_completed'
+    const junitPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'revyl-junit-')),
+      'reports',
+      'revyl.xml'
+    )
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'workflow-id': 'wf_123',
+        'junit-report-path': junitPath,
+        timeout: '10',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+    mockHttpClient.get.mockResolvedValue({
+      message: { statusCode: 200 },
+      readBody: async () =>
+        JSON.stringify({
+          status: 'completed',
+          workflow_name: 'Checkout & Login',
+          tests: [
+            {
+              task_id: 'child_1',
+              test_name: 'Login',
+              status: 'passed',
+              duration: 12,
+              steps: [
+                { step_description: 'Open app', status: 'passed' },
+                { step_description: 'Sign in', status: 'passed' }
+              ]
+            },
+            {
+              task_id: 'child_2',
+              test_name: 'Checkout',
+              status: 'failed',
+              duration: 30,
+              error: 'Button <Pay> not found'
+            }
+          ]
+        })
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    const xml = fs.readFileSync(junitPath, 'utf8')
+    expect(xml).toContain(
+      '<testsuite name="Checkout &amp; Login" tests="2" failures="1" skipped="0" time="42">'
+    )
+    expect(xml).toContain(
+      '<testcase name="Login" classname="Checkout &amp; Login" time="12">'
+    )
+    expect(xml).toContain(
+      '<system-out>Report: https://app.revyl.ai/tests/report?taskId=child_1\n1. Open app [passed]\n2. Sign in [passed]</system-out>'
+    )
+    expect(xml).toContain(
+      '<failure message="Button &lt;Pay&gt; not found">Button &lt;Pay&gt; not found\nReport: https://app.revyl.ai/tests/report?taskId=child_2</failure>'
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      `📄 JUnit report written to ${junitPath}`
+    )
+  })
+
+  it('writes a workflow job summary with a row per child test', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_summary_123'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT__ = 'workflow_completed'
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'workflow-id': 'wf_123',
+        timeout: '10',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+    mockHttpClient.get.mockResolvedValue({
+      message: { statusCode: 200 },
+      readBody: async () =>
+        JSON.stringify({
+          status: 'completed',
+          workflow_name: 'Nightly',
+          duration: 95,
+          tests: [
+            {
+              task_id: 'child_1',
+              test_name: 'Login',
+              status: 'passed',
+              duration: 65
+            },
+            {
+              task_id: 'child_2',
+              test_name: 'Checkout',
+              status: 'failed',
+              duration: 30,
+              error: 'Pay button not found'
+            },
+            { task_id: 'child_3', test_name: 'Profile', status: 'cancelled' }
+          ]
+        })
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.summary.addHeading).toHaveBeenCalledWith(
+      'Workflow Execution Completed 🎉',
+      2
+    )
+    expect(core.summary.addRaw).toHaveBeenCalledWith(
+      expect.stringContaining(
+        '**Totals:** 3 tests · 1 passed · 1 failed · 1 cancelled'
+      )
+    )
+    expect(core.summary.addTable).toHaveBeenCalledWith([
+      [
+        { data: 'Test', header: true },
+        { data: 'Result', header: true },
+        { data: 'Duration', header: true },
+        { data: 'Report', header: true }
+      ],
+      [
+        'Login',
+        '✅ Passed',
+        '00:01:05',
+        '<a href="https://app.revyl.ai/tests/report?taskId=child_1">View report</a>'
+      ],
+      [
+        'Checkout',
+        '❌ Failed',
+        '00:00:30',
+        '<a href="https://app.revyl.ai/tests/report?taskId=child_2">View report</a>'
+      ],
+      [
+        'Profile',
+        '🚫 Cancelled',
+        '-',
+        '<a href="https://app.revyl.ai/tests/report?taskId=child_3">View report</a>'
+      ]
+    ])
+    expect(core.summary.addHeading).toHaveBeenCalledWith('Failures', 3)
+    expect(core.summary.addRaw).toHaveBeenCalledWith(
+      expect.stringContaining('Pay button not found')
+    )
+    expect(core.summary.write).toHaveBeenCalled()
+  })
+
+  it('writes a JSON results file and results-json output for a test', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_results_123'
+    global.__MOCK_TASK_ID__ = taskId
+    const resultsPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'revyl-results-')),
+      'results.json'
+    )
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'results-path': resultsPath,
+        timeout: '10',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+    mockHttpClient.getJson.mockResolvedValue({
+      statusCode: 200,
+      result: {
+        task_id: taskId,
+        test_id: 'test_123',
+        test_name: 'Login Flow',
+        status: 'running',
+        platform: 'ios',
+        duration: 75,
+        started_at: '2025-01-01T10:00:00Z',
+        completed_at: '2025-01-01T10:01:15Z',
+        total_steps: 3,
+        current_step_index: 2
+      }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'))
+    expect(results).toMatchObject({
+      task_id: taskId,
+      type: 'test',
+      test_id: 'test_123',
+      name: 'Login Flow',
+      status: 'completed',
+      success: true,
+      started_at: '2025-01-01T10:00:00Z',
+      completed_at: '2025-01-01T10:01:15Z',
+      duration: 75,
+      execution_time: '00:01:15',
+      platform: 'ios',
+      total_tests: 1,
+      passed_tests: 1,
+      failed_tests: 0,
+      total_steps: 3,
+      completed_steps: 3,
+      report_link: `https://app.revyl.ai/tests/report?taskId=${taskId}`
+    })
+    expect(results.tests).toEqual([
+      expect.objectContaining({
+        name: 'Login Flow',
+        task_id: taskId,
+        status: 'completed',
+        duration: 75
+      })
+    ])
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'results-json',
+      JSON.stringify(results)
+    )
+  })
+
+  it('downloads recordings, screenshots and device logs with a manifest', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const { Readable } = require('stream')
+    const taskId = 'task_artifacts_123'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT__ = 'test_completed'
+    const artifactsDir = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'revyl-artifacts-')),
+      'artifacts'
+    )
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'download-artifacts': artifactsDir,
+        timeout: '10',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+    mockHttpClient.getJson.mockResolvedValue({
+      statusCode: 200,
+      result: {
+        task_id: taskId,
+        test_id: 'test_123',
+        test_name: 'Login Flow',
+        status: 'completed',
+        video_url: 'https://storage.example.com/rec/video.webm?sig=abc',
+        device_logs_url: '/api/v1/tests/logs/task_artifacts_123',
+        steps: [
+          { description: 'Open app', screenshot_url: 'https://cdn/s1.jpg' },
+          { description: 'Tap login' },
+          { description: 'Check home', screenshot_url: 'https://cdn/s3' }
+        ]
+      }
+    })
+    mockHttpClient.get.mockImplementation(async url => {
+      const message = Readable.from([Buffer.from(`content of ${url}`)])
+      message.statusCode = url.endsWith('/s3') ? 404 : 200
+      return { message }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    const testDir = path.join(artifactsDir, 'Login-Flow', taskId)
+    expect(fs.readFileSync(path.join(testDir, 'recording.webm'), 'utf8')).toBe(
+      'content of https://storage.example.com/rec/video.webm?sig=abc'
+    )
+    expect(fs.readFileSync(path.join(testDir, 'device-logs.log'), 'utf8')).toBe(
+      `content of https://backend.revyl.ai/api/v1/tests/logs/${taskId}`
+    )
+    expect(
+      fs.existsSync(path.join(testDir, 'screenshots', 'step-01.jpg'))
+    ).toBe(true)
+
+    const manifestPath = path.join(artifactsDir, 'manifest.json')
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    expect(manifest.tests).toHaveLength(1)
+    expect(manifest.tests[0]).toMatchObject({
+      name: 'Login Flow',
+      task_id: taskId,
+      directory: `Login-Flow/${taskId}`
+    })
+    expect(manifest.tests[0].artifacts.map(a => a.type)).toEqual([
+      'recording',
+      'device_logs',
+      'screenshot',
+      'screenshot'
+    ])
+    expect(manifest.tests[0].artifacts[3]).toMatchObject({
+      step: 3,
+      error: 'HTTP 404'
+    })
+    expect(core.warning).toHaveBeenCalledWith(
+      'Failed to download screenshot for Login Flow: HTTP 404'
+    )
+    expect(core.warning).not.toHaveBeenCalledWith(
+      'No recording found for Login Flow'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'artifacts-manifest',
+      manifestPath
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
+  })
+
+  it('warns when a finished test has no recording', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const { Readable } = require('stream')
+    const taskId = 'task_no_recording'
+    global.__MOCK_TASK_ID__ = taskId
+    global.__MOCK_EVENT__ = 'test_completed'
+    const artifactsDir = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'revyl-artifacts-')),
+      'artifacts'
+    )
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'download-artifacts': artifactsDir,
+        timeout: '10',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockResolvedValue({
+      statusCode: 200,
+      result: { task_id: taskId }
+    })
+    mockHttpClient.getJson.mockResolvedValue({
+      statusCode: 200,
+      result: {
+        task_id: taskId,
+        test_id: 'test_123',
+        test_name: 'Login Flow',
+        status: 'completed',
+        steps: [
+          { description: 'Open app', screenshot_url: 'https://cdn/s1.png' }
+        ]
+      }
+    })
+    mockHttpClient.get.mockImplementation(async url => {
+      const message = Readable.from([Buffer.from(`content of ${url}`)])
+      message.statusCode = 200
+      return { message }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.warning).toHaveBeenCalledWith(
+      'No recording found for Login Flow'
+    )
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(artifactsDir, 'manifest.json'), 'utf8')
+    )
+    expect(manifest.tests[0].artifacts.map(a => a.type)).toEqual(['screenshot'])
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
+  })
+
+  it('reruns failed workflow tests and marks those that pass as flaky', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const taskId = 'task_rerun_wf'
+    const workflowTask = {
+      task_id: taskId,
+      workflow_id: 'wf_123',
+      workflow_name: 'Nightly',
+      status: 'failed',
+      tests: [
+        { test_id: 'test_login', test_name: 'Login', status: 'passed' },
+        {
+          test_id: 'test_map',
+          test_name: 'Map',
+          status: 'failed',
+          error: 'Tiles did not load'
+        },
+        {
+          test_id: 'test_pay',
+          test_name: 'Checkout',
+          status: 'failed',
+          error: 'Pay button not found'
+        }
+      ]
+    }
+    const rerunStatus = { test_map: 'completed', test_pay: 'failed' }
+    const junitPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'revyl-junit-')),
+      'report.xml'
+    )
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'task-id': taskId,
+        'rerun-failed': '2',
+        'monitor-mode': 'poll',
+        'junit-report-path': junitPath,
+        timeout: '10'
+      }
+      return map[name] || ''
+    })
+    mockHttpClient.postJson.mockImplementation(async (url, body) => ({
+      statusCode: 200,
+      result: { task_id: `task_rerun_${body.test_id}` }
+    }))
+    mockHttpClient.getJson.mockImplementation(async url => {
+      const rerunId = new URL(url).searchParams.get('task_id')
+      if (!rerunId?.startsWith('task_rerun_test_')) {
+        return { statusCode: 200, result: workflowTask }
+      }
+      const testId = rerunId.replace('task_rerun_', '')
+      return {
+        statusCode: 200,
+        result: {
+          task_id: rerunId,
+          test_id: testId,
+          test_name: testId,
+          status: rerunStatus[testId]
+        }
+      }
+    })
+    mockHttpClient.get.mockResolvedValue({
+      message: { statusCode: 200 },
+      readBody: async () => JSON.stringify(workflowTask)
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    // Map passes on its first rerun, Checkout fails both
+    expect(mockHttpClient.postJson).toHaveBeenCalledTimes(3)
+    expect(mockHttpClient.postJson).toHaveBeenCalledWith(
+      'https://device.revyl.ai/api/execute_test_id_async',
+      expect.objectContaining({ test_id: 'test_map' })
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      '🔁 Rerun 2/2: 1 failed tests (Checkout)'
+    )
+    expect(core.warning).toHaveBeenCalledWith(
+      'Flaky test: Map failed, then passed on rerun 1',
+      { title: 'Flaky test' }
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('flaky_tests', '1')
+    expect(core.setOutput).toHaveBeenLastCalledWith('success', 'false')
+
+    const results = JSON.parse(
+      core.setOutput.mock.calls.find(([name]) => name === 'results-json')[1]
+    )
+    expect(results).toMatchObject({
+      status: 'failed',
+      passed_tests: 2,
+      failed_tests: 1,
+      flaky_tests: 1
+    })
+    // The original failure stays in the results next to the reruns
+    expect(results.tests[1]).toMatchObject({
+      name: 'Map',
+      status: 'passed',
+      original_status: 'failed',
+      error: 'Tiles did not load',
+      flaky: true,
+      reruns: [{ attempt: 1, status: 'completed' }]
+    })
+    expect(results.tests[2].reruns).toHaveLength(2)
+    expect(core.summary.addTable).toHaveBeenCalledWith(
+      expect.arrayContaining([
+        expect.arrayContaining(['Map', '🔁 Flaky (passed on rerun 1)'])
+      ])
+    )
+    expect(core.summary.addHeading).toHaveBeenCalledWith('Flaky Tests', 3)
+
+    // Flaky tests pass in the JUnit report but keep their original failure
+    const xml = fs.readFileSync(junitPath, 'utf8')
+    expect(xml).toContain(
+      '<system-out>Flaky: failed with status failed, then passed on rerun 1\nOriginal error: Tiles did not load'
+    )
+    expect(xml).toContain('failures="1"')
+  })
+
+  it('reruns only the failed and cancelled tests of an earlier task', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    const previousTask = {
+      task_id: 'task_previous',
+      workflow_id: 'wf_123',
+      workflow_name: 'Nightly',
+      status: 'failed',
+      tests: [
+        { test_id: 'test_login', test_name: 'Login', status: 'passed' },
+        {
+          test_id: 'test_map',
+          test_name: 'Map',
+          status: 'failed',
+          error: 'Tiles did not load'
+        },
+        { test_id: 'test_pay', test_name: 'Checkout', status: 'cancelled' }
+      ]
+    }
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'rerun-from-task-id': 'task_previous',
+        'monitor-mode': 'poll',
+        timeout: '10'
+      }
+      return map[name] || ''
+    })
+    mockHttpClient.postJson.mockImplementation(async (url, body) => ({
+      statusCode: 200,
+      result: { task_id: `task_rerun_${body.test_id}` }
+    }))
+    mockHttpClient.getJson.mockImplementation(async url => {
+      const rerunId = new URL(url).searchParams.get('task_id')
+      if (!rerunId) return { statusCode: 200, result: previousTask }
+      return {
+        statusCode: 200,
+        result: {
+          task_id: rerunId,
+          test_id: rerunId.replace('task_rerun_', ''),
+          test_name: rerunId,
+          status: 'completed'
+        }
+      }
+    })
+    mockHttpClient.get.mockResolvedValue({
+      message: { statusCode: 200 },
+      readBody: async () => JSON.stringify(previousTask)
+    })
+
+    const main = require('../src/main')
+    const passed = await main.run()
+
+    expect(passed).toBe(true)
+    expect(mockHttpClient.getJson).toHaveBeenCalledWith(
+      'https://backend.revyl.ai/api/v1/workflows/tasks/workflow_task/task_previous'
+    )
+    // Only the failed and cancelled tests are queued, once each
+    expect(mockHttpClient.postJson).toHaveBeenCalledTimes(2)
+    expect(mockHttpClient.postJson).not.toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ test_id: 'test_login' })
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      '🔁 Rerun 1/1: 2 failed or cancelled tests (Map, Checkout)'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('task_id', 'task_previous')
+    expect(core.setOutput).toHaveBeenCalledWith('passed_tests', '3')
+    expect(core.setOutput).toHaveBeenCalledWith('flaky_tests', '1')
+    expect(core.setOutput).toHaveBeenLastCalledWith('success', 'true')
+
+    // The report covers the earlier results with the reruns merged in
+    const results = JSON.parse(
+      core.setOutput.mock.calls.find(([name]) => name === 'results-json')[1]
+    )
+    expect(results).toMatchObject({
+      task_id: 'task_previous',
+      status: 'completed'
+    })
+    expect(results.tests.map(test => test.status)).toEqual([
+      'passed',
+      'passed',
+      'passed'
+    ])
+    expect(results.tests[1]).toMatchObject({
+      flaky: true,
+      original_status: 'failed'
+    })
+    expect(results.tests[2]).toMatchObject({ original_status: 'cancelled' })
+    expect(results.tests[2].flaky).toBeUndefined()
+  })
+
+  it('rejects rerun-from-task-id together with task-id', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'rerun-from-task-id': 'task_previous',
+        'task-id': 'task_running'
+      }
+      return map[name] || ''
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Cannot combine rerun-from-task-id with test-id, task-id, test-ids or workflow-ids'
+    )
+    expect(mockHttpClient.getJson).not.toHaveBeenCalled()
+  })
+
+  it('rejects an invalid rerun-failed', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = { 'workflow-id': 'wf_123', 'rerun-failed': 'twice' }
+      return map[name] || ''
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      "Invalid rerun-failed 'twice' (expected a non-negative whole number)"
+    )
+    expect(mockHttpClient.postJson).not.toHaveBeenCalled()
+  })
+
+  it('runs several tests in parallel and aggregates their outputs', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-ids': 'test_a, test_b\ntest_c',
+        'max-parallel': '2',
+        'monitor-mode': 'poll',
+        timeout: '10',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockImplementation(async (url, body) => ({
+      statusCode: 200,
+      result: { task_id: `task_${body.test_id}` }
+    }))
+    const tasks = {
+      task_test_a: { test_name: 'Login', status: 'completed' },
+      task_test_b: {
+        test_name: 'Checkout',
+        status: 'failed',
+        error_message: 'Pay button not found'
+      },
+      task_test_c: { test_name: 'Search', status: 'completed' }
+    }
+    mockHttpClient.getJson.mockImplementation(async url => {
+      const taskId = new URL(url).searchParams.get('task_id')
+      return {
+        statusCode: 200,
+        result: {
+          task_id: taskId,
+          test_id: taskId.replace('task_', ''),
+          test_history_id: `hist_${taskId}`,
+          ...tasks[taskId]
+        }
+      }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(mockHttpClient.postJson).toHaveBeenCalledTimes(3)
+    expect(core.info).toHaveBeenCalledWith(
+      '🚀 Running 3 tests and workflows (max 2 in parallel)'
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      '🚀 Queued test test_a (task task_test_a)'
+    )
+    expect(core.startGroup).toHaveBeenCalledWith('✅ Passed: Login')
+    expect(core.startGroup).toHaveBeenCalledWith('❌ Failed: Checkout')
+    // Each execution's log is printed inside its own group
+    expect(core.info).toHaveBeenCalledWith('🆔 Task ID: task_test_b')
+
+    // Per-execution outputs are replaced by the aggregate ones
+    expect(core.setOutput).not.toHaveBeenCalledWith(
+      'error_message',
+      expect.anything()
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'false')
+    expect(core.setOutput).toHaveBeenCalledWith('total_tests', '3')
+    expect(core.setOutput).toHaveBeenCalledWith('passed_tests', '2')
+    expect(core.setOutput).toHaveBeenCalledWith('failed_tests', '1')
+    const resultsMap = JSON.parse(
+      core.setOutput.mock.calls.find(([name]) => name === 'results-map')[1]
+    )
+    expect(Object.keys(resultsMap)).toEqual(['test_a', 'test_b', 'test_c'])
+    expect(resultsMap.test_b).toMatchObject({
+      task_id: 'task_test_b',
+      name: 'Checkout',
+      status: 'failed',
+      success: false,
+      error_message: 'Pay button not found'
+    })
+    expect(core.setFailed).toHaveBeenCalledWith(
+      '1 of 3 tests and workflows did not pass: Checkout (failed)'
+    )
+    expect(core.saveState).toHaveBeenCalledWith('task_done', 'true')
+  })
+
+  it('monitors parallel tests over one shared stream connection', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    global.__MOCK_COMPLETED_TASK_IDS__ = ['task_test_a', 'task_test_b']
+
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-ids': 'test_a,test_b',
+        'monitor-mode': 'sse',
+        timeout: '10',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+    mockHttpClient.postJson.mockImplementation(async (url, body) => ({
+      statusCode: 200,
+      result: { task_id: `task_${body.test_id}` }
+    }))
+    mockHttpClient.getJson.mockImplementation(async url => {
+      const taskId = new URL(url).searchParams.get('task_id')
+      return {
+        statusCode: 200,
+        result: {
+          task_id: taskId,
+          test_id: taskId.replace('task_', ''),
+          test_history_id: `hist_${taskId}`,
+          test_name: taskId,
+          status: 'completed'
+        }
+      }
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    const EventSource = require('eventsource')
+    expect(EventSource).toHaveBeenCalledTimes(1)
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
+    expect(core.setOutput).toHaveBeenCalledWith('passed_tests', '2')
+    expect(core.setFailed).not.toHaveBeenCalled()
+    // One summary for the batch instead of a section per test
+    expect(core.summary.addHeading.mock.calls).toEqual([
+      ['Batch Execution Completed 🎉', 2]
+    ])
+    expect(core.summary.addTable).toHaveBeenCalledWith([
+      expect.any(Array),
+      ['task_test_a', 'test', '✅ Passed', '-', expect.any(String)],
+      ['task_test_b', 'test', '✅ Passed', '-', expect.any(String)]
+    ])
+    expect(core.summary.write).toHaveBeenCalledTimes(1)
+  })
+
+  it('rejects test-ids together with test-id', async () => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = {
+        'test-id': 'test_123',
+        'test-ids': 'test_a,test_b',
+        'no-wait': ''
+      }
+      return map[name]
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(mockHttpClient.postJson).not.toHaveBeenCalled()
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Cannot combine test-ids or workflow-ids with test-id, workflow-id or task-id'
+    )
+  })
+
+  it.each(['abc', '0', '-2', '1.5'])('rejects max-parallel %s', async value => {
+    process.env['REVYL_API_KEY'] = 'test-token'
+    core.getInput.mockImplementation(name => {
+      const map = { 'test-ids': 'test_a,test_b', 'max-parallel': value }
+      return map[name] || ''
+    })
+
+    const main = require('../src/main')
+    await main.run()
+
+    expect(mockHttpClient.postJson).not.toHaveBeenCalled()
+    expect(core.setFailed).toHaveBeenCalledWith(
+      `Invalid max-parallel '${value}' (expected a positive whole number)`
+    )
+  })
+
   afterEach(() => {
     delete process.env['REVYL_API_KEY']
+    delete process.env['GITHUB_REF_NAME']
     delete global.__MOCK_TASK_ID__
     delete global.__MOCK_EVENT__
+    delete global.__MOCK_EVENT_SEQUENCE__
+    delete global.__MOCK_COMPLETED_TASK_IDS__
   })
 })
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for workflow monitoring when the stream gives up,
+ * src/monitorWorkflow.js
+ */
+
+// Never opened: the stream module is replaced below
+jest.mock(
+  'eventsource',
+  () => {
+    return jest.fn().mockImplementation(function () {
+      this.addEventListener = () => {}
+      this.close = () => {}
+    })
+  },
+  { virtual: true }
+)
+
+describe('monitorWorkflow', () => {
+  let core
+  let client
+  let monitorWorkflow
+
+  /**
+   * REST workflow task responses, one per request
+   */
+  const respondWith = (...tasks) =>
+    tasks.forEach(task =>
+      client.get.mockResolvedValueOnce({
+        message: { statusCode: 200 },
+        readBody: async () => JSON.stringify(task)
+      })
+    )
+
+  beforeEach(() => {
+    jest.resetModules()
+
+    jest.mock(
+      '@actions/core',
+      () => ({
+        info: jest.fn(),
+        debug: jest.fn(),
+        warning: jest.fn(),
+        error: jest.fn(),
+        setOutput: jest.fn()
+      }),
+      { virtual: true }
+    )
+
+    // A stream that gives up on reconnecting as soon as it is opened
+    jest.mock('../src/stream', () => ({
+      connectUnifiedStream: (url, options) => {
+        setImmediate(() =>
+          options.onGiveUp(new Error('SSE connection error: socket hang up'))
+        )
+        return { close: () => {}, getStats: () => ({}) }
+      }
+    }))
+
+    core = require('@actions/core')
+    client = { get: jest.fn() }
+    ;({ monitorWorkflow } = require('../src/monitorWorkflow'))
+  })
+
+  it('keeps following a running workflow over REST after the stream gives up', async () => {
+    respondWith(
+      { status: 'running', workflow_name: 'Nightly', total_tests: 2 },
+      {
+        status: 'completed',
+        workflow_name: 'Nightly',
+        total_tests: 2,
+        completed_tests: 2,
+        tests: [{ status: 'passed' }, { status: 'passed' }]
+      }
+    )
+
+    const status = await monitorWorkflow(
+      'wf_task',
+      'wf_123',
+      'https://backend',
+      client,
+      60
+    )
+
+    expect(status).toBe('completed')
+    expect(core.warning).toHaveBeenCalledWith(
+      'SSE connection error: socket hang up - workflow still running, falling back to REST polling'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('success', 'true')
+    expect(core.setOutput).toHaveBeenCalledWith('passed_tests', '2')
+  })
+
+  it('reports a timeout only once the time budget is used up', async () => {
+    respondWith({ status: 'running', workflow_name: 'Nightly' })
+
+    const status = await monitorWorkflow(
+      'wf_task',
+      'wf_123',
+      'https://backend',
+      client,
+      0
+    )
+
+    expect(status).toBeNull()
+    expect(client.get).toHaveBeenCalledTimes(1)
+  })
+})
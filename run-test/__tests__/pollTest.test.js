@@ -0,0 +1,98 @@
+/**
+ * Unit tests for REST polling of a single test, src/pollTest.js
+ */
+
+// Never opened: polling doesn't use the stream
+jest.mock('eventsource', () => jest.fn(), { virtual: true })
+
+// Mock node-fetch so shareable report links don't hit the network
+jest.mock(
+  'node-fetch',
+  () => {
+    return jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ shareable_link: 'https://example.com/report' })
+    })
+  },
+  { virtual: true }
+)
+
+describe('pollTest', () => {
+  let core
+  let client
+  let pollTest
+  let classifyError
+
+  beforeEach(() => {
+    jest.resetModules()
+    jest.useFakeTimers()
+
+    jest.mock(
+      '@actions/core',
+      () => ({
+        info: jest.fn(),
+        debug: jest.fn(),
+        warning: jest.fn(),
+        error: jest.fn(),
+        setOutput: jest.fn()
+      }),
+      { virtual: true }
+    )
+    jest.mock('@actions/http-client', () => ({}), { virtual: true })
+
+    core = require('@actions/core')
+    client = { getJson: jest.fn() }
+    ;({ pollTest } = require('../src/pollTest'))
+    ;({ classifyError } = require('../src/failures'))
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('stops with an infrastructure error when status requests keep failing', async () => {
+    client.getJson.mockRejectedValue(
+      Object.assign(new Error('Failed request: (503)'), {
+        name: 'HttpClientError',
+        statusCode: 503
+      })
+    )
+
+    const polling = pollTest(
+      'task_1',
+      'test_1',
+      'https://backend',
+      client,
+      3600
+    )
+    const failure = polling.catch(error => error)
+    await jest.runAllTimersAsync()
+
+    const error = await failure
+    expect(error.message).toBe(
+      'Revyl status API unavailable after 10 failed requests: Failed request: (503)'
+    )
+    expect(classifyError(error)).toBe('infrastructure')
+    expect(client.getJson).toHaveBeenCalledTimes(10)
+    expect(core.warning).toHaveBeenCalledWith(
+      '⚠️ Status request failed 3 times in a row: Failed request: (503)'
+    )
+    expect(core.warning).toHaveBeenCalledTimes(7)
+  })
+
+  it('keeps polling through a few failed requests', async () => {
+    client.getJson
+      .mockResolvedValue({
+        statusCode: 200,
+        result: { status: 'running', test_name: 'Login' }
+      })
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockRejectedValueOnce(new Error('socket hang up'))
+
+    const polling = pollTest('task_1', 'test_1', 'https://backend', client, 20)
+    await jest.runAllTimersAsync()
+
+    await expect(polling).resolves.toBeNull()
+    expect(core.warning).not.toHaveBeenCalled()
+  })
+})
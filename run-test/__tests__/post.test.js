@@ -0,0 +1,159 @@
+/**
+ * Unit tests for the action's post step, src/post.js
+ */
+
+// Mock EventSource to confirm cancellation of the saved task
+jest.mock(
+  'eventsource',
+  () => {
+    return jest.fn().mockImplementation(function () {
+      this.listeners = {}
+      this.addEventListener = (type, cb) => {
+        this.listeners[type] = cb
+      }
+      setImmediate(() => {
+        const ev = global.__MOCK_EVENT__
+        if (ev && this.listeners[ev]) {
+          this.listeners[ev]({
+            data: JSON.stringify({ task_id: global.__MOCK_TASK_ID__ })
+          })
+        }
+      })
+      this.close = () => {}
+    })
+  },
+  { virtual: true }
+)
+
+describe('runPost', () => {
+  let mockHttpClient
+  let core
+  let runPost
+  let mockState
+
+  beforeEach(() => {
+    jest.resetModules()
+
+    mockState = {}
+    jest.mock(
+      '@actions/core',
+      () => ({
+        getInput: jest.fn().mockReturnValue(''),
+        getState: jest.fn(name => mockState[name] || ''),
+        startGroup: jest.fn(),
+        endGroup: jest.fn(),
+        notice: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn(),
+        warning: jest.fn()
+      }),
+      { virtual: true }
+    )
+
+    mockHttpClient = {
+      postJson: jest.fn().mockResolvedValue({ statusCode: 200, result: {} })
+    }
+    jest.mock(
+      '@actions/http-client',
+      () => ({
+        HttpClient: jest.fn(() => mockHttpClient)
+      }),
+      { virtual: true }
+    )
+
+    core = require('@actions/core')
+    runPost = require('../src/post').runPost
+  })
+
+  afterEach(() => {
+    delete global.__MOCK_TASK_ID__
+    delete global.__MOCK_EVENT__
+  })
+
+  it('does nothing when no task was queued', async () => {
+    await runPost()
+
+    expect(mockHttpClient.postJson).not.toHaveBeenCalled()
+  })
+
+  it('does nothing when the task already finished', async () => {
+    mockState = { task_id: 'task_1', task_kind: 'test', task_done: 'true' }
+
+    await runPost()
+
+    expect(mockHttpClient.postJson).not.toHaveBeenCalled()
+  })
+
+  it('cancels an unfinished workflow and reports the confirmation', async () => {
+    mockState = { task_id: 'task_wf_1', task_kind: 'workflow' }
+    global.__MOCK_TASK_ID__ = 'task_wf_1'
+    global.__MOCK_EVENT__ = 'workflow_cancelled'
+
+    await runPost()
+
+    expect(mockHttpClient.postJson).toHaveBeenCalledWith(
+      'https://device.revyl.ai/api/cancel_workflow_async',
+      { task_id: 'task_wf_1' }
+    )
+    expect(core.notice).toHaveBeenCalledWith(
+      '🚫 Workflow task task_wf_1 cancelled on Revyl'
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      'Cancel requested: yes | Confirmed via SSE: yes'
+    )
+  })
+
+  it('cancels every unfinished task of a batch run', async () => {
+    mockState = {
+      batch_tasks: JSON.stringify([
+        { taskId: 'task_a', isWorkflow: false },
+        { taskId: 'task_wf_b', isWorkflow: true }
+      ])
+    }
+    // Rejected requests skip waiting for a confirmation
+    mockHttpClient.postJson.mockResolvedValue({ statusCode: 404, result: {} })
+
+    await runPost()
+
+    expect(mockHttpClient.postJson).toHaveBeenCalledWith(
+      'https://device.revyl.ai/api/cancel_test_async',
+      { task_id: 'task_a' }
+    )
+    expect(mockHttpClient.postJson).toHaveBeenCalledWith(
+      'https://device.revyl.ai/api/cancel_workflow_async',
+      { task_id: 'task_wf_b' }
+    )
+  })
+
+  it('cancels reruns left running after the workflow finished', async () => {
+    mockState = {
+      task_id: 'task_wf_1',
+      task_kind: 'workflow',
+      task_done: 'true',
+      batch_tasks: JSON.stringify([{ taskId: 'task_rerun', isWorkflow: false }])
+    }
+    mockHttpClient.postJson.mockResolvedValue({ statusCode: 404, result: {} })
+
+    await runPost()
+
+    expect(mockHttpClient.postJson).toHaveBeenCalledTimes(1)
+    expect(mockHttpClient.postJson).toHaveBeenCalledWith(
+      'https://device.revyl.ai/api/cancel_test_async',
+      { task_id: 'task_rerun' }
+    )
+  })
+
+  it('warns without failing when the cancel request is rejected', async () => {
+    mockState = { task_id: 'task_1', task_kind: 'test' }
+    mockHttpClient.postJson.mockResolvedValue({ statusCode: 404, result: {} })
+
+    await runPost()
+
+    expect(core.warning).toHaveBeenCalledWith(
+      'Failed to cancel test: API returned status code 404'
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      'Cancel requested: no | Confirmed via SSE: no'
+    )
+  })
+})
@@ -0,0 +1,226 @@
+/**
+ * Unit tests for the sticky PR comment, src/prComment.js, against a local
+ * stand-in for the GitHub API
+ */
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+
+// Mock node-fetch so shareable report links don't hit the network
+jest.mock(
+  'node-fetch',
+  () => {
+    return jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ shareable_link: 'https://example.com/shared' })
+    })
+  },
+  { virtual: true }
+)
+
+const results = {
+  task_id: 'task_123',
+  type: 'workflow',
+  name: 'Nightly',
+  status: 'failed',
+  execution_time: '00:01:35',
+  total_tests: 2,
+  passed_tests: 1,
+  tests: [
+    {
+      name: 'Login',
+      test_id: 'test_1',
+      history_id: 'hist_1',
+      status: 'passed',
+      duration: 65,
+      report_link: 'https://app.revyl.ai/tests/report?taskId=child_1'
+    },
+    {
+      name: 'Checkout',
+      test_id: 'test_2',
+      history_id: null,
+      status: 'failed',
+      duration: 30,
+      report_link: 'https://app.revyl.ai/tests/report?taskId=child_2',
+      error: 'Pay button not found'
+    }
+  ]
+}
+
+describe('postPrComment', () => {
+  let core
+  let postPrComment
+  let server
+  let requests
+  let commentPages
+  const originalEnv = { ...process.env }
+
+  beforeEach(async () => {
+    jest.resetModules()
+
+    jest.mock(
+      '@actions/core',
+      () => ({
+        info: jest.fn(),
+        debug: jest.fn(),
+        warning: jest.fn()
+      }),
+      { virtual: true }
+    )
+    jest.mock('eventsource', () => jest.fn(), { virtual: true })
+
+    core = require('@actions/core')
+    ;({ postPrComment } = require('../src/prComment'))
+
+    // Minimal GitHub API: list, create and update issue comments
+    requests = []
+    commentPages = [[]]
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', chunk => (body += chunk))
+      req.on('end', () => {
+        requests.push({
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: body ? JSON.parse(body) : null
+        })
+        res.setHeader('Content-Type', 'application/json')
+        if (req.method === 'GET') {
+          const page = Number(
+            new URL(req.url, 'http://x').searchParams.get('page')
+          )
+          res.end(JSON.stringify(commentPages[page - 1] || []))
+        } else {
+          res.statusCode = req.method === 'POST' ? 201 : 200
+          res.end(JSON.stringify({ id: 1 }))
+        }
+      })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+    const eventPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'revyl-event-')),
+      'event.json'
+    )
+    fs.writeFileSync(eventPath, JSON.stringify({ number: 42 }))
+
+    process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`
+    process.env.GITHUB_REPOSITORY = 'acme/app'
+    process.env.GITHUB_EVENT_NAME = 'pull_request'
+    process.env.GITHUB_EVENT_PATH = eventPath
+    process.env.GITHUB_RUN_ID = '99'
+    process.env.REVYL_API_KEY = 'test-token'
+  })
+
+  afterEach(async () => {
+    process.env = { ...originalEnv }
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  it('posts a new comment with the results table', async () => {
+    const posted = await postPrComment(
+      results,
+      'wf_123',
+      'gh-token',
+      'https://backend.revyl.ai'
+    )
+
+    expect(posted).toBe(true)
+    const post = requests.find(r => r.method === 'POST')
+    expect(post.url).toBe('/repos/acme/app/issues/42/comments')
+    expect(post.headers.authorization).toBe('Bearer gh-token')
+
+    const body = post.body.body
+    expect(body.startsWith('<!-- revyl-run-test:wf_123 -->')).toBe(true)
+    expect(body).toContain('### ❌ Revyl workflow failed: `Nightly`')
+    expect(body).toContain(
+      '| Login | ✅ Passed | 00:01:05 | [View report](https://example.com/shared) |'
+    )
+    expect(body).toContain(
+      '| Checkout | ❌ Failed | 00:00:30 | [View report](https://app.revyl.ai/tests/report?taskId=child_2) |'
+    )
+    expect(body).toContain('Pay button not found')
+    expect(body).toContain(
+      '[View workflow run](https://github.com/acme/app/actions/runs/99)'
+    )
+    expect(core.info).toHaveBeenCalledWith(
+      '💬 Posted results comment on PR #42'
+    )
+  })
+
+  it('labels flaky tests and keeps their original failure', async () => {
+    const flakyResults = {
+      ...results,
+      tests: [
+        {
+          ...results.tests[1],
+          status: 'passed',
+          original_status: 'failed',
+          flaky: true,
+          reruns: [{ attempt: 1, status: 'completed' }]
+        }
+      ]
+    }
+
+    await postPrComment(
+      flakyResults,
+      'wf_123',
+      'gh-token',
+      'https://backend.revyl.ai'
+    )
+
+    const body = requests.find(r => r.method === 'POST').body.body
+    expect(body).toContain(
+      '| Checkout | 🔁 Flaky (passed on rerun 1) | 00:00:30 |'
+    )
+    expect(body).toContain('<details><summary>Flaky tests</summary>')
+    expect(body).toContain(
+      '**Checkout** failed with status `failed`, then passed on rerun 1\n\n```\nPay button not found\n```'
+    )
+    expect(body).not.toContain('<details><summary>Failures</summary>')
+  })
+
+  it('updates its own earlier comment found by the marker', async () => {
+    const unrelated = Array.from({ length: 100 }, (_, i) => ({
+      id: i + 1,
+      body: 'LGTM'
+    }))
+    commentPages = [
+      unrelated,
+      [{ id: 555, body: '<!-- revyl-run-test:wf_123 -->\nold results' }]
+    ]
+
+    const posted = await postPrComment(
+      results,
+      'wf_123',
+      'gh-token',
+      'https://backend.revyl.ai'
+    )
+
+    expect(posted).toBe(true)
+    expect(requests.filter(r => r.method === 'GET')).toHaveLength(2)
+    expect(requests.some(r => r.method === 'POST')).toBe(false)
+    const patch = requests.find(r => r.method === 'PATCH')
+    expect(patch.url).toBe('/repos/acme/app/issues/comments/555')
+    expect(patch.body.body).toContain('Revyl workflow failed')
+    expect(core.info).toHaveBeenCalledWith(
+      '💬 Updated results comment on PR #42'
+    )
+  })
+
+  it('skips the comment outside pull_request events', async () => {
+    process.env.GITHUB_EVENT_NAME = 'push'
+
+    const posted = await postPrComment(
+      results,
+      'wf_123',
+      'gh-token',
+      'https://backend.revyl.ai'
+    )
+
+    expect(posted).toBe(false)
+    expect(requests).toHaveLength(0)
+  })
+})
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for the multiplexed stream connection, src/stream.js
+ */
+
+// EventSource stand-in the tests push events into by hand. Like the real one,
+// it calls back in the async context it was created in.
+jest.mock(
+  'eventsource',
+  () => {
+    const { AsyncResource } = require('async_hooks')
+    return jest.fn().mockImplementation(function (url, options) {
+      const resource = new AsyncResource('EventSource')
+      this.url = url
+      this.options = options
+      this.listeners = {}
+      this.closed = false
+      this.addEventListener = (type, cb) => {
+        this.listeners[type] = this.listeners[type] || []
+        this.listeners[type].push(cb)
+      }
+      this.emit = (type, data) =>
+        resource.runInAsyncScope(() =>
+          (this.listeners[type] || []).forEach(cb =>
+            cb({ data: JSON.stringify(data) })
+          )
+        )
+      this.fail = error => resource.runInAsyncScope(() => this.onerror(error))
+      this.close = () => {
+        this.closed = true
+      }
+    })
+  },
+  { virtual: true }
+)
+
+describe('connectUnifiedStream', () => {
+  let EventSource
+  let connectUnifiedStream
+
+  beforeEach(() => {
+    jest.resetModules()
+    jest.mock(
+      '@actions/core',
+      () => ({
+        info: jest.fn(),
+        debug: jest.fn(),
+        warning: jest.fn(),
+        error: jest.fn()
+      }),
+      { virtual: true }
+    )
+
+    EventSource = require('eventsource')
+    EventSource.mockClear()
+    ;({ connectUnifiedStream } = require('../src/stream'))
+  })
+
+  it('shares one connection and routes events by task id', () => {
+    const seenA = []
+    const seenB = []
+    const a = connectUnifiedStream('https://backend', {
+      taskId: 'task_a',
+      handlers: { test_completed: data => seenA.push(data.task_id) }
+    })
+    const b = connectUnifiedStream('https://backend', {
+      taskId: 'task_b',
+      handlers: {
+        test_completed: data => seenB.push(data.task_id),
+        initial_state: () => seenB.push('initial_state')
+      }
+    })
+
+    expect(EventSource).toHaveBeenCalledTimes(1)
+    const eventSource = EventSource.mock.instances[0]
+    expect(eventSource.url).toBe(
+      'https://backend/api/v1/monitor/stream/unified'
+    )
+
+    eventSource.emit('initial_state', { running_tests: [] })
+    eventSource.emit('test_completed', { task_id: 'task_b' })
+    eventSource.emit('test_completed', { task_id: 'task_other' })
+    eventSource.emit('test_completed', { task_id: 'task_a' })
+
+    expect(seenA).toEqual(['task_a'])
+    expect(seenB).toEqual(['initial_state', 'task_b'])
+    expect(b.getStats().subscriberCount).toBe(2)
+
+    a.close()
+    expect(eventSource.closed).toBe(false)
+    b.close()
+    expect(eventSource.closed).toBe(true)
+  })
+
+  it("routes a workflow's child test events to the workflow", () => {
+    const seen = []
+    connectUnifiedStream('https://backend', {
+      taskId: 'wf_task',
+      handlers: {
+        test_started: data => seen.push(`started ${data.test.task_id}`),
+        test_completed: data => seen.push(`completed ${data.task_id}`)
+      }
+    })
+    const eventSource = EventSource.mock.instances[0]
+
+    eventSource.emit('test_started', {
+      test: { task_id: 'child_1', parent_workflow_task_id: 'wf_task' }
+    })
+    // Completion events only carry the child's own task id
+    eventSource.emit('test_completed', { task_id: 'child_1' })
+    eventSource.emit('test_completed', { task_id: 'child_of_other' })
+
+    expect(seen).toEqual(['started child_1', 'completed child_1'])
+  })
+
+  it("logs each subscriber's events into its own log capture", async () => {
+    jest.useFakeTimers()
+    const core = require('@actions/core')
+    const { interceptLogs, captureLogs } = require('../src/logCapture')
+    const restoreLogs = interceptLogs()
+    const subscribe = (taskId, lines) =>
+      captureLogs(
+        lines,
+        () =>
+          new Promise(resolve => {
+            const subscription = connectUnifiedStream('https://backend', {
+              taskId,
+              handlers: {
+                test_completed: () => {
+                  core.info(`${taskId} completed`)
+                  subscription.close()
+                  resolve()
+                }
+              }
+            })
+          })
+      )
+    const linesA = []
+    const linesB = []
+    const done = Promise.all([
+      subscribe('task_a', linesA),
+      subscribe('task_b', linesB)
+    ])
+
+    const eventSource = EventSource.mock.instances[0]
+    // Reconnect messages belong to the shared connection, not to either task
+    eventSource.fail({ message: 'socket hang up' })
+    jest.advanceTimersByTime(1000)
+    const reconnected = EventSource.mock.instances[1]
+    reconnected.emit('test_completed', { task_id: 'task_b' })
+    reconnected.emit('test_completed', { task_id: 'task_a' })
+    await done
+    restoreLogs()
+    jest.useRealTimers()
+
+    expect(linesA).toEqual(['task_a completed'])
+    expect(linesB).toEqual(['task_b completed'])
+    expect(core.info).toHaveBeenCalledWith(
+      expect.stringContaining('Reconnecting in 1s')
+    )
+  })
+
+  it('opens a new connection once the shared one has closed', () => {
+    const first = connectUnifiedStream('https://backend', { taskId: 'a' })
+    first.close()
+    connectUnifiedStream('https://backend', { taskId: 'b' })
+
+    expect(EventSource).toHaveBeenCalledTimes(2)
+    expect(EventSource.mock.instances[0].closed).toBe(true)
+    expect(EventSource.mock.instances[1].closed).toBe(false)
+  })
+})
@@ -0,0 +1,208 @@
+const fs = require('fs')
+const path = require('path')
+const { pipeline } = require('stream/promises')
+const core = require('@actions/core')
+const httpm = require('@actions/http-client')
+const { fetchTestTask, getTerminalStatus } = require('./tasks')
+
+// Extensions used when the artifact URL doesn't carry one
+const DEFAULT_EXTENSIONS = {
+  recording: '.mp4',
+  device_logs: '.log',
+  screenshot: '.png'
+}
+
+/**
+ * Make a value safe to use as a single path segment
+ * @param {string} value - Test name or task ID
+ * @returns {string} Sanitized path segment
+ */
+function toPathSegment(value) {
+  return (
+    String(value)
+      .replace(/[^\w.-]+/g, '-')
+      .replace(/^[-.]+|-+$/g, '') || 'unnamed'
+  )
+}
+
+/**
+ * File extension of an artifact URL, falling back to the kind's default
+ * @param {string} url - Artifact URL
+ * @param {string} kind - recording, device_logs or screenshot
+ * @returns {string} Extension including the dot
+ */
+function getExtension(url, kind) {
+  try {
+    const ext = path.extname(new URL(url).pathname)
+    if (/^\.\w{1,5}$/.test(ext)) return ext
+  } catch (e) {
+    // Not a parseable URL - use the default
+  }
+  return DEFAULT_EXTENSIONS[kind]
+}
+
+/**
+ * List the artifacts of one test execution task: its screen recording
+ * (video_url), device logs (device_logs_url) and the screenshot_url of each
+ * step
+ * @param {object} task - Enhanced test execution task
+ * @param {string} backendBaseUrl - Base for relative artifact URLs
+ * @returns {Array<object>} [{ type, step, url, file }]
+ */
+function listArtifacts(task, backendBaseUrl) {
+  const artifacts = []
+  const add = (type, url, file, step) => {
+    if (!url || typeof url !== 'string') return
+    const absoluteUrl = new URL(url, backendBaseUrl).toString()
+    artifacts.push({
+      type,
+      ...(step !== undefined && { step }),
+      url: absoluteUrl,
+      file: `${file}${getExtension(absoluteUrl, type)}`
+    })
+  }
+
+  add('recording', task.video_url, 'recording')
+  add('device_logs', task.device_logs_url, 'device-logs')
+  ;(Array.isArray(task.steps) ? task.steps : []).forEach((step, index) => {
+    const number = String(index + 1).padStart(2, '0')
+    add(
+      'screenshot',
+      step && step.screenshot_url,
+      `screenshots/step-${number}`,
+      index + 1
+    )
+  })
+  return artifacts
+}
+
+/**
+ * Download a URL to a file. Revyl API URLs use the authenticated client;
+ * anything else (e.g. pre-signed storage URLs) is fetched without our token.
+ * @param {string} url - Artifact URL
+ * @param {string} filePath - Destination file
+ * @param {object} clients - { api, anonymous } HTTP clients
+ * @param {string} backendBaseUrl - Backend base URL
+ * @returns {Promise<number>} Size of the downloaded file in bytes
+ */
+async function downloadFile(url, filePath, clients, backendBaseUrl) {
+  const isApiUrl = new URL(url).origin === new URL(backendBaseUrl).origin
+  const res = await (isApiUrl ? clients.api : clients.anonymous).get(url)
+  if (res.message.statusCode !== 200) {
+    res.message.resume()
+    throw Error(`HTTP ${res.message.statusCode}`)
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  await pipeline(res.message, fs.createWriteStream(filePath))
+  return fs.statSync(filePath).size
+}
+
+/**
+ * Download the recordings, step screenshots and device logs of the test, or
+ * of every child test of a workflow, into
+ * `<artifactsDir>/<test-name>/<task-id>/` and write `manifest.json` listing
+ * every file. Failed downloads are recorded in the manifest and only warn.
+ * @param {string} artifactsDir - Directory to download into
+ * @param {object} results - Results document from collectResults
+ * @param {string} backendBaseUrl - Backend base URL
+ * @param {object} client - Authenticated HTTP client
+ * @returns {Promise<string|null>} Path of the manifest, or null on failure
+ */
+async function downloadArtifacts(
+  artifactsDir,
+  results,
+  backendBaseUrl,
+  client
+) {
+  try {
+    const clients = {
+      api: client,
+      anonymous: new httpm.HttpClient('revyl-run-action')
+    }
+    const manifest = {
+      name: results.name,
+      status: results.status,
+      tests: []
+    }
+    let downloaded = 0
+    let failed = 0
+
+    for (const test of results.tests) {
+      if (!test.task_id) continue
+      // Manifest paths are relative to artifactsDir and use forward slashes
+      const directory = path.posix.join(
+        toPathSegment(test.name),
+        toPathSegment(test.task_id)
+      )
+      const entry = {
+        name: test.name,
+        task_id: test.task_id,
+        status: test.status,
+        directory,
+        artifacts: []
+      }
+      manifest.tests.push(entry)
+
+      const task = await fetchTestTask(
+        test.task_id,
+        backendBaseUrl,
+        client
+      ).catch(error => {
+        core.debug(`Task lookup failed for ${test.task_id}: ${error.message}`)
+        return null
+      })
+      if (!task) {
+        core.warning(`Could not load artifacts for ${test.name}`)
+        continue
+      }
+
+      const artifacts = listArtifacts(task, backendBaseUrl)
+      if (
+        getTerminalStatus(task.status || test.status) &&
+        !artifacts.some(artifact => artifact.type === 'recording')
+      ) {
+        core.warning(`No recording found for ${test.name}`)
+      }
+
+      for (const artifact of artifacts) {
+        const file = path.posix.join(directory, artifact.file)
+        const record = {
+          type: artifact.type,
+          ...(artifact.step && { step: artifact.step }),
+          path: file
+        }
+        try {
+          record.size = await downloadFile(
+            artifact.url,
+            path.join(artifactsDir, file),
+            clients,
+            backendBaseUrl
+          )
+          downloaded++
+        } catch (error) {
+          record.error = error.message
+          failed++
+          core.warning(
+            `Failed to download ${artifact.type} for ${test.name}: ${error.message}`
+          )
+        }
+        entry.artifacts.push(record)
+      }
+    }
+
+    const manifestPath = path.join(artifactsDir, 'manifest.json')
+    fs.mkdirSync(artifactsDir, { recursive: true })
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`)
+    core.info(
+      `📦 Downloaded ${downloaded} artifacts for ${manifest.tests.length} tests to ${artifactsDir}` +
+        (failed > 0 ? ` (${failed} failed)` : '')
+    )
+    return manifestPath
+  } catch (error) {
+    core.warning(`Failed to download artifacts: ${error.message}`)
+    return null
+  }
+}
+
+module.exports = { downloadArtifacts }
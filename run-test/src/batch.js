@@ -0,0 +1,343 @@
+const core = require('@actions/core')
+const { monitorTask } = require('./monitor')
+const { cancelAndConfirm, registerCancelOnSignal } = require('./cancel')
+const { describeTestStatus } = require('./monitorWorkflow')
+const { buildExecutionRequest, queueExecution } = require('./tasks')
+const { collectResults } = require('./results')
+const { interceptLogs, captureLogs, logLive } = require('./logCapture')
+const { classifyError, combineFailureCategories } = require('./failures')
+
+/**
+ * Parse a comma, space or newline separated list of IDs, dropping duplicates
+ * @param {string} value - Raw input value
+ * @returns {Array<string>} IDs in input order
+ */
+function parseIdList(value) {
+  const ids = (value || '')
+    .split(/[\s,]+/)
+    .map(id => id.trim())
+    .filter(Boolean)
+  return [...new Set(ids)]
+}
+
+/**
+ * Results document for a target that could not be queued or monitored, so it
+ * still shows up as a failed test in outputs and reports
+ * @param {object} target - { testId, workflowId }
+ * @param {Error} error - Error that stopped it
+ * @returns {object} Results document
+ */
+function failedTargetResults(target, error) {
+  const id = target.testId || target.workflowId
+  const { message } = error
+  const category = classifyError(error)
+  return {
+    task_id: null,
+    type: target.testId ? 'test' : 'workflow',
+    test_id: target.testId || null,
+    workflow_id: target.workflowId || null,
+    name: id,
+    status: 'failed',
+    success: false,
+    started_at: null,
+    completed_at: null,
+    duration: null,
+    execution_time: null,
+    platform: null,
+    device: null,
+    total_tests: 1,
+    passed_tests: 0,
+    failed_tests: 1,
+    total_steps: 0,
+    completed_steps: 0,
+    report_link: null,
+    error_message: message,
+    failure_category: category,
+    tests: [
+      {
+        name: id,
+        task_id: null,
+        test_id: target.testId || null,
+        history_id: null,
+        status: 'failed',
+        duration: null,
+        report_link: null,
+        error: message,
+        platform: null,
+        failure_category: category,
+        total_steps: null,
+        completed_steps: null,
+        steps: []
+      }
+    ]
+  }
+}
+
+/**
+ * Queue one test or workflow, monitor it to completion and collect its
+ * results. Timed-out executions are cancelled.
+ * @param {object} target - { testId, workflowId, executionOptions }
+ * @param {object} settings - See runBatch
+ * @param {Array<object>} running - Unfinished tasks, updated in place
+ * @returns {Promise<object>} Results document
+ */
+async function runTarget(target, settings, running) {
+  const testId = target.testId || null
+  const workflowId = target.workflowId || null
+  const kind = testId ? 'test' : 'workflow'
+  const { client, deviceBaseUrl, backendBaseUrl, timeoutSeconds } = settings
+
+  const { url, body } = buildExecutionRequest(
+    testId,
+    workflowId,
+    deviceBaseUrl,
+    target.executionOptions || settings.executionOptions
+  )
+  core.info(`🎯 ${testId ? 'Test' : 'Workflow'} ID: ${testId || workflowId}`)
+  const taskId = await queueExecution(client, url, body, kind)
+  core.info(`🆔 Task ID: ${taskId}`)
+  logLive(`🚀 Queued ${kind} ${testId || workflowId} (task ${taskId})`)
+
+  const task = { taskId, isWorkflow: !testId }
+  running.push(task)
+  settings.onRunningChange(running)
+
+  let status
+  try {
+    const result = await monitorTask(
+      taskId,
+      testId,
+      workflowId,
+      backendBaseUrl,
+      client,
+      timeoutSeconds,
+      settings.monitorMode,
+      settings.stallTimeoutSeconds
+    )
+    status = result?.status || result
+
+    if (status === null) {
+      core.warning(
+        `Timeout of ${timeoutSeconds}s reached while waiting for ${kind} ${testId || workflowId}`
+      )
+      // The finally below drops it from the tasks the post step cancels
+      await cancelAndConfirm(
+        taskId,
+        !testId,
+        deviceBaseUrl,
+        backendBaseUrl,
+        client
+      )
+    }
+  } finally {
+    running.splice(running.indexOf(task), 1)
+    settings.onRunningChange(running)
+  }
+
+  return collectResults(
+    taskId,
+    testId,
+    workflowId,
+    status || 'timeout',
+    backendBaseUrl,
+    client
+  )
+}
+
+/**
+ * Combine per-target results into one document
+ * @param {Array<object>} targetResults - Results document per target
+ * @returns {object} Aggregate results document
+ */
+function aggregateResults(targetResults) {
+  const statuses = targetResults.map(r => r.status)
+  const status =
+    ['failed', 'timeout', 'cancelled'].find(s => statuses.includes(s)) ||
+    'completed'
+  const tests = targetResults.flatMap(r => r.tests)
+  const sum = key => targetResults.reduce((total, r) => total + r[key], 0)
+
+  return {
+    type: 'batch',
+    name: targetResults.map(r => r.name).join(', '),
+    status,
+    success: status === 'completed',
+    total_tests: tests.length,
+    passed_tests: sum('passed_tests'),
+    failed_tests: sum('failed_tests'),
+    total_steps: sum('total_steps'),
+    completed_steps: sum('completed_steps'),
+    failure_category: combineFailureCategories(
+      targetResults.map(r => r.failure_category)
+    ),
+    tests,
+    targets: targetResults
+  }
+}
+
+/**
+ * Map of test or workflow ID to a short summary of its results
+ * @param {object} results - Aggregate results from runBatch
+ * @returns {object} { [id]: { task_id, type, name, status, ... } }
+ */
+function buildResultsMap(results) {
+  return Object.fromEntries(
+    results.targets.map(r => [
+      r.test_id || r.workflow_id,
+      {
+        task_id: r.task_id,
+        type: r.type,
+        name: r.name,
+        status: r.status,
+        success: r.success,
+        execution_time: r.execution_time,
+        total_tests: r.total_tests,
+        passed_tests: r.passed_tests,
+        failed_tests: r.failed_tests,
+        report_link: r.report_link,
+        error_message: r.error_message,
+        failure_category: r.failure_category
+      }
+    ])
+  )
+}
+
+/**
+ * Write one job summary for the batch: a row per test or workflow and the
+ * error of each one that didn't pass. The executions' own summaries are left
+ * out while their logs are captured.
+ * @param {object} results - Aggregate results from runBatch
+ * @returns {Promise<void>}
+ */
+async function writeBatchJobSummary(results) {
+  try {
+    const unsuccessful = results.targets.filter(r => !r.success)
+    const summary = core.summary
+      .addHeading(
+        unsuccessful.length > 0
+          ? 'Batch Execution Failed ❌'
+          : 'Batch Execution Completed 🎉',
+        2
+      )
+      .addRaw(
+        `
+**Totals:** ${results.targets.length} tests and workflows · ${results.targets.length - unsuccessful.length} passed · ${unsuccessful.length} did not pass
+`
+      )
+      .addTable([
+        [
+          { data: 'Test or workflow', header: true },
+          { data: 'Type', header: true },
+          { data: 'Result', header: true },
+          { data: 'Duration', header: true },
+          { data: 'Report', header: true }
+        ],
+        ...results.targets.map(r => [
+          r.name,
+          r.type,
+          describeTestStatus(r.status).label,
+          r.execution_time || '-',
+          r.report_link ? `<a href="${r.report_link}">View report</a>` : '-'
+        ])
+      ])
+
+    if (unsuccessful.length > 0) {
+      summary.addHeading('Failures', 3)
+      unsuccessful.forEach(r => {
+        summary.addRaw(
+          `
+**${r.name}**${r.failure_category ? ` · ${r.failure_category.replace('_', ' ')}` : ''}
+
+\`\`\`
+${r.error_message || 'No error message reported'}
+\`\`\`
+`
+        )
+      })
+    }
+
+    await summary.write()
+  } catch (error) {
+    core.warning(`Failed to write batch job summary: ${error.message}`)
+  }
+}
+
+/**
+ * Run several tests and workflows concurrently. Each execution's log is
+ * buffered and printed as one group when it finishes, with a live line as
+ * each one is queued and finishes.
+ * @param {Array<object>} targets - [{ testId } | { workflowId }], each with
+ *   optional executionOptions overriding the settings
+ * @param {object} settings - { maxParallel (0 for no cap), executionOptions
+ *   (see buildExecutionRequest), timeoutSeconds, monitorMode,
+ *   stallTimeoutSeconds, deviceBaseUrl, backendBaseUrl, client,
+ *   onRunningChange(tasks), optional onTargetError(target, error) for
+ *   targets stopped by an error before they had results }
+ * @returns {Promise<object>} Aggregate results document
+ */
+async function runBatch(targets, settings) {
+  const running = []
+  const maxParallel =
+    settings.maxParallel > 0
+      ? Math.min(settings.maxParallel, targets.length)
+      : targets.length
+  const targetResults = new Array(targets.length)
+  let next = 0
+  let finished = 0
+
+  core.info(
+    `🚀 Running ${targets.length} tests and workflows (max ${maxParallel} in parallel)`
+  )
+
+  const worker = async () => {
+    while (next < targets.length) {
+      const index = next++
+      const target = targets[index]
+      const lines = []
+      let results
+      try {
+        results = await captureLogs(lines, () =>
+          runTarget(target, settings, running)
+        )
+      } catch (error) {
+        const id = target.testId || target.workflowId
+        core.warning(`Failed to run ${id}: ${error.message}`)
+        if (settings.onTargetError) settings.onTargetError(target, error)
+        results = failedTargetResults(target, error)
+      }
+      targetResults[index] = results
+      finished++
+
+      const { label } = describeTestStatus(results.status)
+      core.info(
+        `${label}: ${results.name} (${finished}/${targets.length} finished)`
+      )
+      core.startGroup(`${label}: ${results.name}`)
+      lines.forEach(line => core.info(line))
+      core.endGroup()
+    }
+  }
+
+  const restoreLogs = interceptLogs()
+  const unregisterSignals = registerCancelOnSignal(
+    running,
+    settings.deviceBaseUrl,
+    settings.backendBaseUrl,
+    settings.client
+  )
+  try {
+    await Promise.all(Array.from({ length: maxParallel }, worker))
+  } finally {
+    unregisterSignals()
+    restoreLogs()
+  }
+
+  return aggregateResults(targetResults)
+}
+
+module.exports = {
+  parseIdList,
+  runBatch,
+  buildResultsMap,
+  writeBatchJobSummary
+}
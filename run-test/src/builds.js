@@ -0,0 +1,127 @@
+const core = require('@actions/core')
+
+// build-version values that pick the newest upload instead of a version string
+const LATEST = 'latest'
+const LATEST_FOR_BRANCH = 'latest-for-branch'
+
+/**
+ * Upload time of a build version, for newest-first ordering
+ * @param {object} version - Build version from the API
+ * @returns {number} Milliseconds since epoch, or 0 if unknown
+ */
+function getUploadTime(version) {
+  const time = Date.parse(version.created_at || version.updated_at || '')
+  return Number.isNaN(time) ? 0 : time
+}
+
+/**
+ * List the uploaded versions of a build variable, newest first
+ * @param {string} buildVarId - Build variable ID
+ * @param {string} backendBaseUrl - Backend base URL
+ * @param {object} client - HTTP client
+ * @returns {Promise<Array<object>>} Build versions
+ */
+async function listBuildVersions(buildVarId, backendBaseUrl, client) {
+  let res
+  try {
+    res = await client.getJson(
+      `${backendBaseUrl}/api/v1/builds/vars/${encodeURIComponent(buildVarId)}/versions`
+    )
+  } catch (error) {
+    // http-client rejects on non-404 error statuses; keep the status so the
+    // error can be classified
+    throw Object.assign(
+      Error(
+        `Failed to list build versions for build-var-id ${buildVarId}: ${error.message}`
+      ),
+      { statusCode: error.statusCode }
+    )
+  }
+  if (res.statusCode === 404 || !res.result) {
+    throw Error(`Build variable ${buildVarId} not found`)
+  }
+
+  const result = res.result.data || res.result
+  const versions = Array.isArray(result)
+    ? result
+    : result.versions || result.items || []
+  // Stable sort keeps the API order for versions without an upload time
+  return [...versions].sort((a, b) => getUploadTime(b) - getUploadTime(a))
+}
+
+/**
+ * Branch the build versions were uploaded from. upload-build records
+ * GITHUB_REF_NAME as the `branch` metadata, so the same value matches builds
+ * uploaded earlier in the same workflow.
+ * @param {string} buildBranch - Explicit branch from the build-branch input
+ * @returns {string|null} Branch name
+ */
+function getCurrentBranch(buildBranch) {
+  return buildBranch || process.env.GITHUB_REF_NAME || null
+}
+
+/**
+ * Resolve a build variable and version string to a build version ID
+ * @param {string} buildVarId - Build variable ID
+ * @param {string} buildVersion - Version string (e.g. the git SHA), latest or
+ *   latest-for-branch
+ * @param {string} buildBranch - Branch for latest-for-branch (optional)
+ * @param {string} backendBaseUrl - Backend base URL
+ * @param {object} client - HTTP client
+ * @returns {Promise<string>} Build version ID
+ */
+async function resolveBuildVersion(
+  buildVarId,
+  buildVersion,
+  buildBranch,
+  backendBaseUrl,
+  client
+) {
+  const versions = await listBuildVersions(buildVarId, backendBaseUrl, client)
+
+  let match
+  if (buildVersion === LATEST) {
+    match = versions[0]
+    if (!match) {
+      throw Error(`No build versions found for build-var-id ${buildVarId}`)
+    }
+  } else if (buildVersion === LATEST_FOR_BRANCH) {
+    const branch = getCurrentBranch(buildBranch)
+    if (!branch) {
+      throw Error(
+        'Cannot resolve latest-for-branch: set build-branch or run on GitHub Actions'
+      )
+    }
+    match = versions.find(v => v.metadata?.branch === branch)
+    if (!match) {
+      throw Error(
+        `No build version for branch '${branch}' found for build-var-id ${buildVarId}`
+      )
+    }
+  } else {
+    match = versions.find(v => v.version === buildVersion)
+    if (!match) {
+      throw Error(
+        `No build version '${buildVersion}' found for build-var-id ${buildVarId}`
+      )
+    }
+  }
+
+  const versionId = match.id || match.version_id
+  if (!versionId) {
+    throw Error(
+      `Build version '${match.version}' of build-var-id ${buildVarId} has no ID`
+    )
+  }
+
+  const label =
+    match.version === buildVersion
+      ? buildVersion
+      : `${buildVersion} → ${match.version}`
+  core.info(`📦 Resolved build ${label} (${versionId})`)
+  if (match.metadata?.branch) core.info(`   branch: ${match.metadata.branch}`)
+  if (match.created_at) core.info(`   uploaded: ${match.created_at}`)
+  return versionId
+}
+
+module.exports = { resolveBuildVersion }
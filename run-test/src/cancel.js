@@ -0,0 +1,169 @@
+const core = require('@actions/core')
+const { connectUnifiedStream } = require('./stream')
+
+// The runner force-kills the step a few seconds after signalling it
+const SIGNAL_CANCEL_CONFIRM_SECONDS = 5
+
+/**
+ * Request cancellation of a queued or running task
+ * @param {string} taskId - The task ID to cancel
+ * @param {boolean} isWorkflow - Whether the task is a workflow execution
+ * @param {string} deviceBaseUrl - Device base URL for execution API
+ * @param {object} client - HTTP client for the request
+ * @returns {Promise<boolean>} True if the backend accepted the cancellation
+ */
+async function cancelTask(taskId, isWorkflow, deviceBaseUrl, client) {
+  const cancelEndpoint = isWorkflow
+    ? '/api/cancel_workflow_async'
+    : '/api/cancel_test_async'
+
+  try {
+    const res = await client.postJson(`${deviceBaseUrl}${cancelEndpoint}`, {
+      task_id: taskId
+    })
+    if (res.statusCode !== 200) {
+      core.warning(
+        `Failed to cancel ${isWorkflow ? 'workflow' : 'test'}: API returned status code ${res.statusCode}`
+      )
+      return false
+    }
+    return true
+  } catch (error) {
+    core.warning(
+      `Failed to cancel ${isWorkflow ? 'workflow' : 'test'}: ${error.message}`
+    )
+    return false
+  }
+}
+
+/**
+ * Open the unified stream and wait for the cancellation event of a task
+ * @param {string} taskId - The task ID being cancelled
+ * @param {boolean} isWorkflow - Whether the task is a workflow execution
+ * @param {string} backendBaseUrl - Backend base URL for SSE
+ * @returns {{confirmed: Promise<boolean>, close: Function}} Pending
+ *   confirmation and a handle to stop listening
+ */
+function listenForCancellation(taskId, isWorkflow, backendBaseUrl) {
+  let stream = null
+  let settle = () => {}
+  const confirmed = new Promise(resolve => {
+    settle = value => {
+      if (stream) stream.close()
+      resolve(value)
+    }
+  })
+
+  const onCancelled = data => {
+    if (data.task_id === taskId) settle(true)
+  }
+  const handlers = isWorkflow
+    ? { workflow_cancelled: onCancelled }
+    : { test_cancelled: onCancelled, test_cancelled_with_data: onCancelled }
+
+  stream = connectUnifiedStream(backendBaseUrl, {
+    taskId,
+    handlers,
+    onGiveUp: () => settle(false)
+  })
+
+  return { confirmed, close: () => settle(false) }
+}
+
+/**
+ * Cancel a task and report whether the cancellation was confirmed over SSE.
+ * The stream is opened before the cancel request so the event can't be missed.
+ * @param {string} taskId - The task ID to cancel
+ * @param {boolean} isWorkflow - Whether the task is a workflow execution
+ * @param {string} deviceBaseUrl - Device base URL for execution API
+ * @param {string} backendBaseUrl - Backend base URL for SSE
+ * @param {object} client - HTTP client for the request
+ * @param {number} confirmTimeoutSeconds - How long to wait for confirmation
+ * @returns {Promise<{requested: boolean, confirmed: boolean}>} Outcome
+ */
+async function cancelAndConfirm(
+  taskId,
+  isWorkflow,
+  deviceBaseUrl,
+  backendBaseUrl,
+  client,
+  confirmTimeoutSeconds = 30
+) {
+  const kind = isWorkflow ? 'Workflow' : 'Test'
+  const listener = listenForCancellation(taskId, isWorkflow, backendBaseUrl)
+
+  core.info(
+    `🛑 Requesting cancellation of ${kind.toLowerCase()} task ${taskId}`
+  )
+  const requested = await cancelTask(taskId, isWorkflow, deviceBaseUrl, client)
+  if (!requested) {
+    listener.close()
+    return { requested: false, confirmed: false }
+  }
+
+  const timeoutHandle = setTimeout(
+    () => listener.close(),
+    confirmTimeoutSeconds * 1000
+  )
+  const confirmed = await listener.confirmed
+  clearTimeout(timeoutHandle)
+
+  if (confirmed) {
+    core.notice(`🚫 ${kind} task ${taskId} cancelled on Revyl`)
+  } else {
+    core.warning(
+      `Cancellation of ${kind.toLowerCase()} task ${taskId} was requested but not confirmed within ${confirmTimeoutSeconds}s`
+    )
+  }
+
+  return { requested: true, confirmed }
+}
+
+/**
+ * Cancel the remote tasks if the runner signals the process while we are
+ * still monitoring them (job cancelled or job-level timeout)
+ * @param {Array<object>} tasks - [{ taskId, isWorkflow }]; read when the
+ *   signal arrives, so callers may add and remove tasks in place
+ * @param {string} deviceBaseUrl - Device base URL for execution API
+ * @param {string} backendBaseUrl - Backend base URL for SSE
+ * @param {object} client - HTTP client for the cancel requests
+ * @returns {Function} Unregisters the signal handlers
+ */
+function registerCancelOnSignal(tasks, deviceBaseUrl, backendBaseUrl, client) {
+  const cancelAll = async signal => {
+    const outcomes = await Promise.all(
+      tasks.map(({ taskId, isWorkflow }) => {
+        core.warning(`Received ${signal} - cancelling Revyl task ${taskId}`)
+        return cancelAndConfirm(
+          taskId,
+          isWorkflow,
+          deviceBaseUrl,
+          backendBaseUrl,
+          client,
+          SIGNAL_CANCEL_CONFIRM_SECONDS
+        )
+      })
+    )
+    // Tell the post step there is nothing left to cancel
+    if (outcomes.every(({ requested }) => requested)) {
+      core.saveState('task_done', 'true')
+    }
+    process.exit(1)
+  }
+
+  // Runners may send SIGINT and then SIGTERM; cancel only once
+  let cancelling = null
+  const handler = signal => {
+    if (!cancelling) cancelling = cancelAll(signal)
+    return cancelling
+  }
+
+  process.once('SIGINT', handler)
+  process.once('SIGTERM', handler)
+  return () => {
+    process.removeListener('SIGINT', handler)
+    process.removeListener('SIGTERM', handler)
+  }
+}
+
+module.exports = { cancelTask, cancelAndConfirm, registerCancelOnSignal }
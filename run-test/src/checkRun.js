@@ -0,0 +1,287 @@
+const core = require('@actions/core')
+const { describeTestStatus, describeTestResult } = require('./monitorWorkflow')
+const { formatDuration } = require('./time')
+const {
+  getHeadSha,
+  getRepoApiUrl,
+  getRunUrl,
+  createGitHubClient
+} = require('./github')
+
+// GitHub accepts at most 50 annotations per check run request
+const MAX_ANNOTATIONS_PER_REQUEST = 50
+
+// Final status -> check run conclusion
+const CONCLUSIONS = {
+  completed: 'success',
+  failed: 'failure',
+  cancelled: 'cancelled',
+  timeout: 'timed_out'
+}
+
+// Progress icons for the in-progress summary
+const PROGRESS_ICONS = {
+  running: '⏳',
+  passed: '✅',
+  failed: '❌',
+  cancelled: '🚫'
+}
+
+/**
+ * Annotations must point at a file in the repository; use the workflow file
+ * of the current run
+ * @returns {string} Repository-relative path
+ */
+function getAnnotationPath() {
+  // owner/repo/.github/workflows/ci.yml@refs/heads/main
+  const match = (process.env.GITHUB_WORKFLOW_REF || '').match(
+    /^[^/]+\/[^/]+\/(.+?)@/
+  )
+  return match ? match[1] : '.github'
+}
+
+/**
+ * Build one failure annotation per failed test and per failing step.
+ * Quarantined failures are warnings, as in the job summary.
+ * @param {object} results - Results document from collectResults
+ * @param {Set<object>} quarantined - Tests whose failures are quarantined
+ * @returns {Array<object>} Check run annotations
+ */
+function buildAnnotations(results, quarantined) {
+  const annotationPath = getAnnotationPath()
+  const annotations = []
+  results.tests.forEach(test => {
+    if (describeTestStatus(test.status).kind !== 'failed') return
+    const isQuarantined = quarantined.has(test)
+    const annotation = (title, message) => ({
+      path: annotationPath,
+      start_line: 1,
+      end_line: 1,
+      annotation_level: isQuarantined ? 'warning' : 'failure',
+      title,
+      message
+    })
+    annotations.push(
+      annotation(
+        `${test.name} failed${isQuarantined ? ' (quarantined)' : ''}`,
+        [
+          test.error || 'Test failed',
+          test.report_link && `Report: ${test.report_link}`
+        ]
+          .filter(Boolean)
+          .join('\n')
+      )
+    )
+    test.steps.forEach((step, index) => {
+      if (describeTestStatus(step.status).kind !== 'failed') return
+      annotations.push(
+        annotation(
+          `${test.name}: step ${index + 1} failed`,
+          step.description || 'Step failed'
+        )
+      )
+    })
+  })
+  return annotations
+}
+
+/**
+ * Check run conclusion of a finished run. A pass policy decides whether the
+ * run passed; a cancelled or timed out run keeps its own conclusion when it
+ * fails the policy.
+ * @param {object} results - Results document from collectResults
+ * @param {object|null} policyResult - Decision from evaluatePassPolicy
+ * @returns {string} Check run conclusion
+ */
+function getConclusion(results, policyResult) {
+  if (policyResult && policyResult.passed) return 'success'
+  const conclusion = CONCLUSIONS[results.status] || 'failure'
+  return policyResult && conclusion === 'success' ? 'failure' : conclusion
+}
+
+/**
+ * Markdown summary of a finished run for the check run output
+ * @param {object} results - Results document from collectResults
+ * @param {Set<object>} quarantined - Tests whose failures are quarantined
+ * @returns {string} Markdown summary
+ */
+function buildFinalSummary(results, quarantined) {
+  const lines = [
+    `**Task ID:** \`${results.task_id}\` · **Duration:** ${results.execution_time || 'unknown'}`,
+    `**Totals:** ${results.total_tests} tests · ${results.passed_tests} passed · ${results.failed_tests} failed`,
+    ''
+  ]
+  if (results.tests.length > 0) {
+    lines.push('| Test | Result | Duration | Report |')
+    lines.push('| ---- | ------ | -------- | ------ |')
+    results.tests.forEach(test => {
+      const report = test.report_link
+        ? `[View report](${test.report_link})`
+        : '-'
+      lines.push(
+        `| ${test.name} | ${quarantined.has(test) ? '⚠️ Quarantined' : describeTestResult(test)} | ${formatDuration(test.duration) || '-'} | ${report} |`
+      )
+    })
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Create a reporter that mirrors a Revyl test or workflow as a GitHub Check
+ * Run. The check run is created once the test or workflow name is known,
+ * updated as tests start and finish, and completed with a conclusion,
+ * markdown output and annotations. Failures only produce warnings.
+ * @param {string} checkRunName - Check run name, or empty to name it after
+ *   the Revyl test or workflow
+ * @param {string} githubToken - Token with checks write access
+ * @returns {object} { onProgress, complete, abort }
+ */
+function createCheckRunReporter(checkRunName, githubToken) {
+  const client = createGitHubClient(githubToken)
+  const checkRunsUrl = `${getRepoApiUrl()}/check-runs`
+  const tests = new Map() // task_id -> { name, status }
+  let name = checkRunName || null
+  let checkRunId = null
+  let completed = false
+  let queue = Promise.resolve()
+
+  /**
+   * Serialize GitHub API calls so updates land in order
+   */
+  function enqueue(work) {
+    queue = queue
+      .then(work)
+      .catch(error =>
+        core.warning(`Failed to update check run: ${error.message}`)
+      )
+    return queue
+  }
+
+  /**
+   * Create the check run on first use, then update it
+   */
+  async function createOrUpdate(body) {
+    if (checkRunId === null) {
+      const res = await client.postJson(checkRunsUrl, {
+        name,
+        head_sha: getHeadSha(),
+        details_url: getRunUrl() || undefined,
+        started_at: new Date().toISOString(),
+        ...body
+      })
+      checkRunId = res.result.id
+      core.info(`☑️ Created check run: ${name}`)
+    } else {
+      await client.patchJson(`${checkRunsUrl}/${checkRunId}`, body)
+    }
+  }
+
+  /**
+   * Stream a progress event from the monitors into the check run
+   * @param {object} event - { type, taskId, name, status }
+   */
+  function onProgress(event) {
+    if (event.type === 'workflow_started') {
+      name = name || `Revyl: ${event.name}`
+    } else if (event.type === 'test_started') {
+      // A single test names the check run; child tests only add rows
+      name = name || `Revyl: ${event.name}`
+      tests.set(event.taskId, { name: event.name, status: 'running' })
+    } else if (event.type === 'test_finished') {
+      tests.set(event.taskId, { name: event.name, status: event.status })
+    }
+    if (!name) return
+
+    const finished = [...tests.values()].filter(t => t.status !== 'running')
+    const summary = [...tests.values()]
+      .map(t => `- ${PROGRESS_ICONS[t.status] || '⏳'} ${t.name}`)
+      .join('\n')
+    enqueue(() =>
+      createOrUpdate({
+        status: 'in_progress',
+        output: {
+          title: `${finished.length}/${tests.size} tests finished`,
+          summary: summary || 'Waiting for tests to start...'
+        }
+      })
+    )
+  }
+
+  /**
+   * Complete the check run with the final results
+   * @param {object} results - Results document from collectResults
+   * @param {object|null} policyResult - Pass policy decision from
+   *   evaluatePassPolicy, if a policy is set
+   * @returns {Promise<void>} Resolves once GitHub has been updated
+   */
+  function complete(results, policyResult = null) {
+    completed = true
+    name = name || `Revyl: ${results.name}`
+    const quarantined = new Set(
+      (policyResult?.quarantined || []).map(({ test }) => test)
+    )
+    const annotations = buildAnnotations(results, quarantined)
+    const title = `${results.passed_tests}/${results.total_tests} tests passed`
+    const summary = buildFinalSummary(results, quarantined)
+
+    return enqueue(async () => {
+      await createOrUpdate({
+        status: 'completed',
+        conclusion: getConclusion(results, policyResult),
+        completed_at: new Date().toISOString(),
+        output: {
+          title,
+          summary,
+          annotations: annotations.slice(0, MAX_ANNOTATIONS_PER_REQUEST)
+        }
+      })
+      // Further annotations are appended by additional updates
+      for (
+        let i = MAX_ANNOTATIONS_PER_REQUEST;
+        i < annotations.length;
+        i += MAX_ANNOTATIONS_PER_REQUEST
+      ) {
+        await client.patchJson(`${checkRunsUrl}/${checkRunId}`, {
+          output: {
+            title,
+            summary,
+            annotations: annotations.slice(i, i + MAX_ANNOTATIONS_PER_REQUEST)
+          }
+        })
+      }
+      core.info(`☑️ Completed check run: ${name}`)
+    })
+  }
+
+  /**
+   * Complete a check run that is still in progress when the run stops with
+   * an error instead of results. Nothing is created if no progress was
+   * reported yet.
+   * @param {Error} error - Error that stopped the run
+   * @param {string} [conclusion] - Check run conclusion, `failure` unless
+   *   on-infra-error lets the step pass
+   * @returns {Promise<void>} Resolves once GitHub has been updated
+   */
+  function abort(error, conclusion = 'failure') {
+    if (completed) return queue
+    completed = true
+
+    return enqueue(async () => {
+      if (checkRunId === null) return
+      await client.patchJson(`${checkRunsUrl}/${checkRunId}`, {
+        status: 'completed',
+        conclusion,
+        completed_at: new Date().toISOString(),
+        output: {
+          title: 'Run stopped before it finished',
+          summary: error.message
+        }
+      })
+      core.info(`☑️ Completed check run: ${name}`)
+    })
+  }
+
+  return { onProgress, complete, abort }
+}
+
+module.exports = { createCheckRunReporter }
@@ -0,0 +1,32 @@
+const core = require('@actions/core')
+const httpm = require('@actions/http-client')
+
+/**
+ * Create the authenticated HTTP client used for Revyl API requests
+ * @returns {object} HTTP client with the Revyl API key attached
+ */
+function createClient() {
+  return new httpm.HttpClient('revyl-run-action', [], {
+    headers: {
+      Authorization: `Bearer ${process.env['REVYL_API_KEY']}`,
+      'Content-Type': 'application/json'
+    }
+  })
+}
+
+/**
+ * Resolve the device (execution) and backend (status) base URLs from inputs
+ * @returns {{deviceBaseUrl: string, backendBaseUrl: string}} Base URLs
+ */
+function getBaseUrls() {
+  const deviceBaseUrl =
+    core.getInput('revyl-device-url', { required: false }) ||
+    'https://device.revyl.ai'
+  const backendBaseUrl =
+    core.getInput('backend-url', { required: false }) ||
+    'https://backend.revyl.ai'
+
+  return { deviceBaseUrl, backendBaseUrl }
+}
+
+module.exports = { createClient, getBaseUrls }
@@ -0,0 +1,51 @@
+const core = require('@actions/core')
+
+const ORIENTATIONS = ['portrait', 'landscape']
+
+/**
+ * Read the device targeting inputs
+ * @returns {object|null} Execution request fields { device_model, os_version,
+ *   orientation, locale } that were set, or null if none were
+ */
+function getDeviceTarget() {
+  const orientation = (
+    core.getInput('orientation', { required: false }) || ''
+  ).toLowerCase()
+  if (orientation && !ORIENTATIONS.includes(orientation)) {
+    throw Error(
+      `Invalid orientation '${orientation}' (expected one of: ${ORIENTATIONS.join(', ')})`
+    )
+  }
+
+  const target = Object.fromEntries(
+    Object.entries({
+      device_model: core.getInput('device-model', { required: false }),
+      os_version: core.getInput('os-version', { required: false }),
+      orientation,
+      locale: core.getInput('locale', { required: false })
+    })
+      .map(([field, value]) => [field, (value || '').trim()])
+      .filter(([, value]) => value)
+  )
+  return Object.keys(target).length > 0 ? target : null
+}
+
+/**
+ * Describe a device for logs and outputs, e.g. "Pixel 4, OS 10, landscape,
+ * de-DE". Works on both the requested target and a reported task.
+ * @param {object} device - Object with device_model (or device_name),
+ *   os_version, orientation and locale fields
+ * @returns {string|null} Description, or null if no device details are known
+ */
+function describeDevice(device) {
+  if (!device) return null
+  const parts = [
+    device.device_model || device.device_name,
+    device.os_version && `OS ${device.os_version}`,
+    device.orientation,
+    device.locale
+  ].filter(Boolean)
+  return parts.length > 0 ? parts.join(', ') : null
+}
+
+module.exports = { getDeviceTarget, describeDevice }
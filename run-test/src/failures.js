@@ -0,0 +1,137 @@
+const { getTerminalStatus } = require('./tasks')
+
+// Most telling first: a genuine test failure outweighs infrastructure noise
+const FAILURE_CATEGORIES = [
+  'test_failure',
+  'timeout',
+  'infrastructure',
+  'cancelled'
+]
+
+// Failures while the device is prepared or released are not the test's fault
+const INFRASTRUCTURE_PHASE = /setup|teardown|provision/i
+
+// Device and provisioning errors a test can report that say nothing about the
+// app under test. Kept strict: test errors are mostly app assertions, which
+// may well mention streams or lost connections.
+const DEVICE_ERROR =
+  /device provisioning|failed to provision|provisioning (the )?device|no (available )?devices? (available|found)|device (is )?(unavailable|not available|offline|disconnected)|lost connection to (the )?device|(emulator|simulator) (failed|crashed|did not (start|boot))|failed to (boot|allocate) (the )?(device|emulator|simulator)|(app|build) install(ation)? failed|failed to install (the )?(app|build)/i
+
+// Network, stream and API errors raised by the action itself. Explicit
+// `SSE error:` events from the server (usually auth) are not among them.
+const TRANSPORT_ERROR =
+  /\bSSE (connection|stream)\b|status API unavailable|connection (reset|refused|closed|lost)|ECONN|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|status code (5\d\d|408|429)|service unavailable|bad gateway|gateway timeout|internal server error/i
+
+// The execution never got going, which points at the platform, not the app
+const START_TIMEOUT_ERROR = /timeout waiting for .+ to start/i
+
+// Executions stopped for running too long, as opposed to a step that waited
+// in vain for an element (a test failure)
+const TIMEOUT_ERROR =
+  /\b(execution|test|task|run|session|workflow) (timed out|timeout)|timeout of \d+s reached|exceeded (the )?(maximum|max) (duration|run ?time|time)|time limit/i
+
+/**
+ * Classify why a test or workflow did not pass, from its status, error
+ * message and the phase it failed in
+ * @param {object} task - { status, error, phase } of a test result or task
+ *   (error_message is read too)
+ * @returns {string|null} infrastructure, timeout, test_failure or cancelled,
+ *   or null if it passed or has not finished
+ */
+function classifyFailure(task) {
+  const status = (task.status || '').toLowerCase()
+  if (status === 'timeout') return 'timeout'
+  const terminal = getTerminalStatus(status)
+  if (!terminal || terminal === 'completed') return null
+  if (terminal === 'cancelled') return 'cancelled'
+
+  const error = task.error || task.error_message || ''
+  if (task.phase && INFRASTRUCTURE_PHASE.test(task.phase)) {
+    return 'infrastructure'
+  }
+  if (DEVICE_ERROR.test(error)) return 'infrastructure'
+  if (TIMEOUT_ERROR.test(error)) return 'timeout'
+  return 'test_failure'
+}
+
+/**
+ * Pick the category of a whole run from those of its parts
+ * @param {Array<string|null>} categories - Categories of tests or executions
+ * @returns {string|null} Most telling category, or null if there is none
+ */
+function combineFailureCategories(categories) {
+  return (
+    FAILURE_CATEGORIES.find(category => categories.includes(category)) || null
+  )
+}
+
+/**
+ * Classify a finished test or workflow run from its final status and the
+ * results of its tests. Only tests that still did not pass count; each keeps
+ * the category of its original failure.
+ * @param {string} status - Final status (completed, failed, cancelled, timeout)
+ * @param {Array<object>} tests - Per-test results
+ * @param {string|null} error - Error reported for the run itself
+ * @returns {string|null} Failure category, or null if the run passed
+ */
+function classifyRun(status, tests, error) {
+  if (status === 'completed') return null
+  if (status === 'cancelled' || status === 'timeout') return status
+  const categories = tests
+    .filter(test => classifyFailure(test))
+    .map(test => test.failure_category || classifyFailure(test))
+  return (
+    combineFailureCategories(categories) || classifyFailure({ status, error })
+  )
+}
+
+/**
+ * Classify an error that stopped the action before a run finished: API and
+ * stream errors are infrastructure, anything else is a configuration problem
+ * such as a missing input or an unknown ID
+ * @param {Error} error - Error caught by the action; the http-client's
+ *   HttpClientError carries the response status in statusCode
+ * @returns {string} infrastructure, timeout or configuration
+ */
+function classifyError(error) {
+  if (typeof error.statusCode === 'number') {
+    const status = error.statusCode
+    return status >= 500 || status === 408 || status === 429
+      ? 'infrastructure'
+      : 'configuration'
+  }
+  const message = error.message || ''
+  if (
+    /status code 4\d\d/i.test(message) &&
+    !/status code (408|429)/.test(message)
+  ) {
+    return 'configuration'
+  }
+  if (TRANSPORT_ERROR.test(message) || DEVICE_ERROR.test(message)) {
+    return 'infrastructure'
+  }
+  if (/timeout|timed out/i.test(message)) return 'timeout'
+  return 'configuration'
+}
+
+/**
+ * Whether an error that stopped the action came from Revyl's infrastructure
+ * rather than the tests: an HTTP 5xx, a network or stream error, or an
+ * execution that never started
+ * @param {Error} error - Error caught by the action
+ * @returns {boolean} True for infrastructure errors
+ */
+function isInfrastructureError(error) {
+  return (
+    classifyError(error) === 'infrastructure' ||
+    START_TIMEOUT_ERROR.test(error.message || '')
+  )
+}
+
+module.exports = {
+  classifyFailure,
+  combineFailureCategories,
+  classifyRun,
+  classifyError,
+  isInfrastructureError
+}
@@ -0,0 +1,85 @@
+const fs = require('fs')
+const core = require('@actions/core')
+const httpm = require('@actions/http-client')
+
+// Pull request events that carry a PR number in the event payload
+const PULL_REQUEST_EVENTS = ['pull_request', 'pull_request_target']
+
+/**
+ * Read the GitHub event payload of the current run
+ * @returns {object|null} Event payload or null if unavailable
+ */
+function readEventPayload() {
+  if (!process.env.GITHUB_EVENT_PATH) return null
+  try {
+    return JSON.parse(fs.readFileSync(process.env.GITHUB_EVENT_PATH, 'utf8'))
+  } catch (e) {
+    // If we can't read the event file, that's okay - callers fall back
+    core.info('Could not read the GitHub event payload')
+    return null
+  }
+}
+
+/**
+ * Read the pull request number from the GitHub event payload
+ * @returns {number|null} PR number or null when not running for a PR
+ */
+function getPullRequestNumber() {
+  if (!PULL_REQUEST_EVENTS.includes(process.env.GITHUB_EVENT_NAME)) return null
+  const eventData = readEventPayload()
+  return eventData?.number || eventData?.pull_request?.number || null
+}
+
+/**
+ * Commit the run belongs to. For pull requests this is the PR head rather
+ * than the synthetic merge commit in GITHUB_SHA, so checks show on the PR.
+ * @returns {string|undefined} Commit SHA
+ */
+function getHeadSha() {
+  if (PULL_REQUEST_EVENTS.includes(process.env.GITHUB_EVENT_NAME)) {
+    const sha = readEventPayload()?.pull_request?.head?.sha
+    if (sha) return sha
+  }
+  return process.env.GITHUB_SHA
+}
+
+/**
+ * Base URL of the current repository in the GitHub REST API
+ * @returns {string} Repository API URL
+ */
+function getRepoApiUrl() {
+  const apiUrl = process.env.GITHUB_API_URL || 'https://api.github.com'
+  return `${apiUrl}/repos/${process.env.GITHUB_REPOSITORY}`
+}
+
+/**
+ * Link to the current workflow run
+ * @returns {string|null} Run URL or null outside GitHub Actions
+ */
+function getRunUrl() {
+  if (!process.env.GITHUB_REPOSITORY || !process.env.GITHUB_RUN_ID) return null
+  const serverUrl = process.env.GITHUB_SERVER_URL || 'https://github.com'
+  return `${serverUrl}/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}`
+}
+
+/**
+ * Create an HTTP client authenticated against the GitHub API
+ * @param {string} githubToken - GitHub token
+ * @returns {object} HTTP client
+ */
+function createGitHubClient(githubToken) {
+  return new httpm.HttpClient('revyl-run-action', [], {
+    headers: {
+      Authorization: `Bearer ${githubToken}`,
+      Accept: 'application/vnd.github+json'
+    }
+  })
+}
+
+module.exports = {
+  getPullRequestNumber,
+  getHeadSha,
+  getRepoApiUrl,
+  getRunUrl,
+  createGitHubClient
+}
@@ -1,6 +1,12 @@
 /**
- * The entrypoint for the action.
+ * The entrypoint for the action. The same bundle also runs as the `post:`
+ * step, told apart by state saved during the main step.
  */
 const { run } = require('./main')
+const { runPost, isPostStep } = require('./post')
 
-run()
+if (isPostStep()) {
+  runPost()
+} else {
+  run()
+}
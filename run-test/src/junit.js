@@ -0,0 +1,158 @@
+const fs = require('fs')
+const path = require('path')
+const core = require('@actions/core')
+
+// Child test statuses that count as failures / skips
+const FAILED_STATUSES = ['failed', 'error', 'timeout']
+const SKIPPED_STATUSES = ['cancelled', 'skipped']
+
+/**
+ * Escape text for use in XML content and attributes
+ * @param {any} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeXml(value) {
+  return (
+    String(value ?? '')
+      // Control characters are not allowed in XML 1.0
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+  )
+}
+
+/**
+ * Render the step details of a test for system-out
+ * @param {Array<object>} steps - Normalized steps
+ * @returns {string} One line per step, or an empty string
+ */
+function formatSteps(steps) {
+  return steps
+    .map((step, index) => {
+      const status = step.status ? ` [${step.status}]` : ''
+      return `${index + 1}. ${step.description || 'Step'}${status}`
+    })
+    .join('\n')
+}
+
+/**
+ * Note for a flaky test, which passes in the report: its original failure and
+ * the rerun it passed on
+ * @param {object} test - Test from the results document
+ * @returns {string} Note, or an empty string if the test isn't flaky
+ */
+function formatFlakyNote(test) {
+  if (!test.flaky) return ''
+  const passedRun = test.reruns[test.reruns.length - 1]
+  return [
+    `Flaky: failed with status ${test.original_status}, then passed on rerun ${passedRun.attempt}`,
+    `Original error: ${test.error || 'No error message reported'}`,
+    passedRun.report_link && `Rerun report: ${passedRun.report_link}`
+  ]
+    .filter(Boolean)
+    .join('\n')
+}
+
+/**
+ * Build a JUnit testcase from a per-test result
+ * @param {object} test - Test from the results document
+ * @param {string} classname - Name of the enclosing suite
+ * @returns {object} Testcase model
+ */
+function toTestCase(test, classname) {
+  const status = (test.status || '').toLowerCase()
+  return {
+    name: test.name,
+    classname,
+    time: test.duration || 0,
+    failed: FAILED_STATUSES.includes(status),
+    skipped: SKIPPED_STATUSES.includes(status),
+    error: test.error || `Test finished with ${status}`,
+    reportUrl: test.report_link,
+    steps: formatSteps(test.steps),
+    flakyNote: formatFlakyNote(test)
+  }
+}
+
+/**
+ * Render JUnit XML for a list of suites
+ * @param {Array<object>} suites - [{ name, testcases }]
+ * @returns {string} JUnit XML document
+ */
+function buildJUnitXml(suites) {
+  const count = (cases, key) => cases.filter(c => c[key]).length
+  const sumTime = cases => cases.reduce((total, c) => total + c.time, 0)
+  const allCases = suites.flatMap(s => s.testcases)
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Revyl" tests="${allCases.length}" failures="${count(allCases, 'failed')}" skipped="${count(allCases, 'skipped')}" time="${sumTime(allCases)}">`
+  ]
+
+  for (const suite of suites) {
+    const cases = suite.testcases
+    lines.push(
+      `  <testsuite name="${escapeXml(suite.name)}" tests="${cases.length}" failures="${count(cases, 'failed')}" skipped="${count(cases, 'skipped')}" time="${sumTime(cases)}">`
+    )
+    for (const c of cases) {
+      lines.push(
+        `    <testcase name="${escapeXml(c.name)}" classname="${escapeXml(c.classname)}" time="${c.time}">`
+      )
+      if (c.failed) {
+        const details = c.reportUrl
+          ? `${c.error}\nReport: ${c.reportUrl}`
+          : c.error
+        lines.push(
+          `      <failure message="${escapeXml(c.error)}">${escapeXml(details)}</failure>`
+        )
+      } else if (c.skipped) {
+        lines.push('      <skipped message="cancelled"/>')
+      }
+      const systemOut = [
+        c.flakyNote,
+        c.reportUrl && `Report: ${c.reportUrl}`,
+        c.steps
+      ]
+        .filter(Boolean)
+        .join('\n')
+      if (systemOut) {
+        lines.push(`      <system-out>${escapeXml(systemOut)}</system-out>`)
+      }
+      lines.push('    </testcase>')
+    }
+    lines.push('  </testsuite>')
+  }
+
+  lines.push('</testsuites>')
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Write a JUnit XML report: one testsuite for the workflow (or single test)
+ * with one testcase per test, or one testsuite per test and workflow of a
+ * batch run
+ * @param {string} junitPath - File to write
+ * @param {object} results - Results from collectResults or runBatch
+ * @returns {boolean} True if the report was written
+ */
+function writeJUnitReport(junitPath, results) {
+  try {
+    const suites = (results.targets || [results]).map(target => ({
+      name: target.name,
+      testcases: target.tests.map(t => toTestCase(t, target.name))
+    }))
+    fs.mkdirSync(path.dirname(path.resolve(junitPath)), { recursive: true })
+    fs.writeFileSync(junitPath, buildJUnitXml(suites))
+    core.info(`📄 JUnit report written to ${junitPath}`)
+    return true
+  } catch (error) {
+    core.warning(`Failed to write JUnit report: ${error.message}`)
+    return false
+  }
+}
+
+module.exports = { buildJUnitXml, writeJUnitReport }
@@ -0,0 +1,59 @@
+const { AsyncLocalStorage } = require('async_hooks')
+const core = require('@actions/core')
+
+// Methods captured while an execution runs inside captureLogs. Warnings,
+// errors and notices still go straight to the log so annotations show up as
+// they happen; outputs are dropped because the caller sets aggregate outputs.
+const CAPTURED_METHODS = ['info', 'startGroup', 'endGroup', 'setOutput']
+
+const storage = new AsyncLocalStorage()
+
+/**
+ * Route core log calls made inside captureLogs into that call's buffer. Log
+ * groups can't nest or interleave, so concurrent executions are buffered and
+ * printed one group at a time once they finish.
+ * @returns {Function} Restores the original core methods
+ */
+function interceptLogs() {
+  const originals = {}
+  for (const method of CAPTURED_METHODS) {
+    const original = (originals[method] = core[method])
+    core[method] = (...args) => {
+      const lines = storage.getStore()
+      if (!lines) return original(...args)
+      // Groups opened inside a captured execution become plain headings
+      if (method === 'info') lines.push(args[0])
+      if (method === 'startGroup') lines.push(`▶ ${args[0]}`)
+    }
+  }
+  return () => Object.assign(core, originals)
+}
+
+/**
+ * Run fn with its log output appended to lines instead of written
+ * @param {Array<string>} lines - Buffer for the captured log lines
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+function captureLogs(lines, fn) {
+  return storage.run(lines, fn)
+}
+
+/**
+ * Whether the caller runs inside captureLogs. Per-execution job summaries are
+ * left out there: the batch writes one summary for all of them.
+ * @returns {boolean} True inside captureLogs
+ */
+function isCapturing() {
+  return storage.getStore() !== undefined
+}
+
+/**
+ * Write a log line immediately, even from inside captureLogs
+ * @param {string} message - Log line
+ */
+function logLive(message) {
+  storage.exit(() => core.info(message))
+}
+
+module.exports = { interceptLogs, captureLogs, isCapturing, logLive }
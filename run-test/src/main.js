@@ -1,12 +1,116 @@
 const core = require('@actions/core')
-const httpm = require('@actions/http-client')
-const { monitorTaskViaSSE, waitForStart } = require('./monitor')
+const { monitorTask, waitForStart, reportFinishedTask } = require('./monitor')
+const { cancelAndConfirm, registerCancelOnSignal } = require('./cancel')
+const { writeWorkflowJobSummary } = require('./monitorWorkflow')
+const { createClient, getBaseUrls } = require('./client')
+const {
+  fetchWorkflowTask,
+  resolveTask,
+  getTerminalStatus,
+  parseBuildVersionIds,
+  buildExecutionRequest,
+  queueExecution
+} = require('./tasks')
+const { writeJUnitReport } = require('./junit')
+const { collectResults, writeResultsFile } = require('./results')
+const { postPrComment } = require('./prComment')
+const { createCheckRunReporter } = require('./checkRun')
+const {
+  parseIdList,
+  runBatch,
+  buildResultsMap,
+  writeBatchJobSummary
+} = require('./batch')
+const { downloadArtifacts } = require('./artifacts')
+const { resolveBuildVersion } = require('./builds')
+const { getExecutionVariables } = require('./variables')
+const { getDeviceTarget, describeDevice } = require('./device')
+const { getPassPolicy, evaluatePassPolicy } = require('./policy')
+const { loadQuarantine } = require('./quarantine')
+const { getRerunnableFailures, rerunFailedTests } = require('./rerun')
+const { classifyError, isInfrastructureError } = require('./failures')
+
+// Pass policy inputs are evaluated against a single workflow's child tests
+const POLICY_WORKFLOWS_ONLY =
+  'min-pass-rate, max-failures, allowed-failures and quarantine-file only apply to workflow-id runs - ignoring'
+
+const RERUN_WORKFLOWS_ONLY =
+  'rerun-failed only applies to workflow-id runs - use retries for single tests'
+const RERUN_SINGLE_RUNS_ONLY =
+  'rerun-failed and retry-infra-failures do not apply to test-ids or workflow-ids - ignoring'
+
+// sse: stream only, poll: REST polling only, auto: stream with polling fallback
+const MONITOR_MODES = ['sse', 'poll', 'auto']
+
+// What to do when Revyl itself fails: fail the step, or pass it with a
+// warning or a notice
+const ON_INFRA_ERROR_POLICIES = ['fail', 'warn', 'skip']
+
+/**
+ * Download the run's artifacts and expose the manifest as an output
+ * @param {string} artifactsDir - Directory to download into
+ * @param {object} results - Results document
+ * @param {string} backendBaseUrl - Backend base URL
+ * @param {object} client - HTTP client
+ * @returns {Promise<void>}
+ */
+async function saveArtifacts(artifactsDir, results, backendBaseUrl, client) {
+  const manifestPath = await downloadArtifacts(
+    artifactsDir,
+    results,
+    backendBaseUrl,
+    client
+  )
+  if (manifestPath) core.setOutput('artifacts-manifest', manifestPath)
+}
+
+/**
+ * Update the outputs that reruns of failed tests change
+ * @param {object} results - Results document with the reruns merged in
+ */
+function setRerunOutputs(results) {
+  if (results.type === 'workflow') {
+    core.setOutput('passed_tests', results.passed_tests.toString())
+    core.setOutput('failed_tests', results.failed_tests.toString())
+    core.setOutput('flaky_tests', results.flaky_tests.toString())
+  }
+  core.setOutput('error_message', results.error_message || '')
+}
+
+/**
+ * Pass the step over an infrastructure error with a warning or a notice, as
+ * on-infra-error asks
+ * @param {string} message - What stopped the run
+ * @param {string} onInfraError - `warn` or `skip`
+ */
+function passInfrastructureError(message, onInfraError) {
+  const reason = `Revyl infrastructure error: ${message}`
+  core.setOutput('success', 'false')
+  core.setOutput('skipped_reason', reason)
+  if (onInfraError === 'warn') {
+    core.warning(`${reason} - not failing the step (on-infra-error: warn)`, {
+      title: 'Revyl infrastructure error'
+    })
+  } else {
+    core.notice(`${reason} - skipped (on-infra-error: skip)`)
+  }
+}
 
 /**
  * The main function for the action.
  * @returns {Promise<void>} Resolves when the action is complete.
  */
 async function run() {
+  // The post step runs this same bundle; this tells it apart from the main step
+  core.saveState('isPost', 'true')
+
+  // Set once the run's own failure category is known; errors before that are
+  // classified from the error itself
+  let failureClassified = false
+  let onInfraError = 'fail'
+  // Completed with the results, or from the catch below if the run stops
+  // before it has any
+  let checkRunReporter = null
   try {
     // Check for API key first
     if (!process.env['REVYL_API_KEY']) {
@@ -14,11 +118,68 @@ async function run() {
     }
 
     // Get inputs and validate
-    const testId = core.getInput('test-id', { required: false })
-    const workflowId = core.getInput('workflow-id', { required: false })
+    const infraErrorPolicy = (
+      core.getInput('on-infra-error', { required: false }) || 'fail'
+    ).toLowerCase()
+    if (!ON_INFRA_ERROR_POLICIES.includes(infraErrorPolicy)) {
+      throw Error(
+        `Invalid on-infra-error '${infraErrorPolicy}' (expected one of: ${ON_INFRA_ERROR_POLICIES.join(', ')})`
+      )
+    }
+    onInfraError = infraErrorPolicy
+    let testId = core.getInput('test-id', { required: false })
+    let workflowId = core.getInput('workflow-id', { required: false })
+    const attachTaskId = core.getInput('task-id', { required: false })
+    const rerunFromTaskId = core.getInput('rerun-from-task-id', {
+      required: false
+    })
+    const testIds = parseIdList(core.getInput('test-ids', { required: false }))
+    const workflowIds = parseIdList(
+      core.getInput('workflow-ids', { required: false })
+    )
+    // Empty runs everything at once
+    const rawMaxParallel = (
+      core.getInput('max-parallel', { required: false }) || ''
+    ).trim()
+    const maxParallel = rawMaxParallel ? Number(rawMaxParallel) : 0
+    if (rawMaxParallel && (!Number.isInteger(maxParallel) || maxParallel < 1)) {
+      throw Error(
+        `Invalid max-parallel '${rawMaxParallel}' (expected a positive whole number)`
+      )
+    }
     const retries = core.getInput('retries', { required: false }) || 1
-    const buildVersionId =
+    let buildVersionId =
       core.getInput('build-version-id', { required: false }) || null
+    const buildVarId = core.getInput('build-var-id', { required: false })
+    const buildVersion = core.getInput('build-version', { required: false })
+    const buildBranch = core.getInput('build-branch', { required: false })
+    const buildVersionIds = parseBuildVersionIds(
+      core.getInput('build-version-ids', { required: false })
+    )
+    // Parsed first so secret values are masked before anything is logged
+    const variables = getExecutionVariables()
+    const device = getDeviceTarget()
+    const passPolicy = getPassPolicy()
+    const quarantineFile = core.getInput('quarantine-file', {
+      required: false
+    })
+    const quarantine = quarantineFile ? loadQuarantine(quarantineFile) : null
+    const rerunFailed = Number(
+      core.getInput('rerun-failed', { required: false }) || '0'
+    )
+    if (!Number.isInteger(rerunFailed) || rerunFailed < 0) {
+      throw Error(
+        `Invalid rerun-failed '${core.getInput('rerun-failed')}' (expected a non-negative whole number)`
+      )
+    }
+    const retryInfraFailures = Number(
+      core.getInput('retry-infra-failures', { required: false }) || '0'
+    )
+    if (!Number.isInteger(retryInfraFailures) || retryInfraFailures < 0) {
+      throw Error(
+        `Invalid retry-infra-failures '${core.getInput('retry-infra-failures')}' (expected a non-negative whole number)`
+      )
+    }
     const timeoutSeconds = parseInt(
       core.getInput('timeout', { required: false }) || '3600',
       10
@@ -29,88 +190,334 @@ async function run() {
       core.getInput('start-timeout', { required: false }) || '60',
       10
     )
+    const stallTimeoutSeconds = parseInt(
+      core.getInput('stall-timeout', { required: false }) || '120',
+      10
+    )
+    const junitReportPath = core.getInput('junit-report-path', {
+      required: false
+    })
+    const resultsPath = core.getInput('results-path', { required: false })
+    const artifactsDir = core.getInput('download-artifacts', {
+      required: false
+    })
+    const prComment =
+      (core.getInput('pr-comment', { required: false }) || '').toLowerCase() ===
+      'true'
+    const githubToken = core.getInput('github-token', { required: false })
+    const checkRun =
+      (core.getInput('check-run', { required: false }) || '').toLowerCase() ===
+      'true'
+    const checkRunName = core.getInput('check-run-name', { required: false })
+    const monitorMode = (
+      core.getInput('monitor-mode', { required: false }) || 'auto'
+    ).toLowerCase()
 
-    // Validate that either testId or workflowId is provided
-    if (!testId && !workflowId) {
+    // Validate that either testId, workflowId or an existing taskId is provided
+    const isBatch = testIds.length > 0 || workflowIds.length > 0
+    if (rerunFromTaskId) {
+      if (testId || attachTaskId || isBatch) {
+        throw Error(
+          'Cannot combine rerun-from-task-id with test-id, task-id, test-ids or workflow-ids'
+        )
+      }
+      if (noWait) {
+        throw Error('Cannot use no-wait with rerun-from-task-id')
+      }
+    } else if (isBatch) {
+      if (testId || workflowId || attachTaskId) {
+        throw Error(
+          'Cannot combine test-ids or workflow-ids with test-id, workflow-id or task-id'
+        )
+      }
+      if (noWait) {
+        throw Error('Cannot use no-wait with test-ids or workflow-ids')
+      }
+    } else if (attachTaskId) {
+      if (testId || workflowId) {
+        throw Error(
+          'Cannot provide task-id together with test-id or workflow-id'
+        )
+      }
+      if (noWait) {
+        throw Error('Cannot use no-wait when attaching to an existing task-id')
+      }
+    } else if (!testId && !workflowId) {
       throw Error('Either test-id or workflow-id must be provided')
     }
     if (testId && workflowId) {
       throw Error('Cannot provide both test-id and workflow-id')
     }
+    if (!buildVarId !== !buildVersion) {
+      throw Error(
+        'build-var-id and build-version must be provided together (build-version is a version string, latest or latest-for-branch)'
+      )
+    }
+    if (buildVarId && buildVersionId) {
+      throw Error('Cannot provide both build-version-id and build-var-id')
+    }
+    if (testId && buildVersionIds) {
+      throw Error(
+        'build-version-ids only applies to workflows - use build-version-id for a single test'
+      )
+    }
+    if (!MONITOR_MODES.includes(monitorMode)) {
+      throw Error(
+        `Invalid monitor-mode '${monitorMode}' (expected one of: ${MONITOR_MODES.join(', ')})`
+      )
+    }
 
-    const client = new httpm.HttpClient('revyl-run-action', [], {
-      headers: {
-        Authorization: `Bearer ${process.env['REVYL_API_KEY']}`,
-        'Content-Type': 'application/json'
-      }
-    })
+    const client = createClient()
 
     // Determine the base URL and endpoints (updated for async execution)
-    const deviceBaseUrl =
-      core.getInput('revyl-device-url', { required: false }) ||
-      'https://device.revyl.ai'
-    const backendBaseUrl =
-      core.getInput('backend-url', { required: false }) ||
-      'https://backend.revyl.ai'
+    const { deviceBaseUrl, backendBaseUrl } = getBaseUrls()
 
     const executionBaseUrl = deviceBaseUrl
     const statusBaseUrl = backendBaseUrl
 
-    const initEndpoint = testId
-      ? '/api/execute_test_id_async'
-      : '/api/execute_workflow_id_async'
-    const statusEndpoint = testId
-      ? '/api/v1/tests/get_enhanced_test_execution_task'
-      : '/api/v1/workflows/tasks/workflow_task'
+    // Resolve the build by version string before anything is queued
+    if (buildVarId && !attachTaskId) {
+      buildVersionId = await resolveBuildVersion(
+        buildVarId,
+        buildVersion,
+        buildBranch,
+        statusBaseUrl,
+        client
+      )
+    }
+    const executionOptions = {
+      retries,
+      buildVersionId,
+      buildVersionIds,
+      variables,
+      device
+    }
+
+    // Shared by batch runs and reruns of failed tests
+    const batchSettings = {
+      maxParallel,
+      executionOptions,
+      timeoutSeconds,
+      monitorMode,
+      stallTimeoutSeconds,
+      deviceBaseUrl: executionBaseUrl,
+      backendBaseUrl: statusBaseUrl,
+      client,
+      // Saved for the post step, which cancels anything left running
+      onRunningChange: running =>
+        core.saveState('batch_tasks', JSON.stringify(running))
+    }
+
+    // Batch mode: several tests and workflows monitored concurrently
+    if (isBatch) {
+      if (prComment || checkRun) {
+        core.warning(
+          'pr-comment and check-run are not supported with test-ids or workflow-ids - skipping'
+        )
+      }
+      if (passPolicy || quarantine) core.warning(POLICY_WORKFLOWS_ONLY)
+      if (rerunFailed > 0 || retryInfraFailures > 0) {
+        core.warning(RERUN_SINGLE_RUNS_ONLY)
+      }
 
-    const initUrl = `${executionBaseUrl}${initEndpoint}`
+      if (device) core.info(`📱 Device: ${describeDevice(device)}`)
 
-    core.startGroup(`🚀 Starting ${testId ? 'Test' : 'Workflow'} Execution`)
-    core.info(`🎯 ${testId ? 'Test' : 'Workflow'} ID: ${testId || workflowId}`)
-    if (buildVersionId) {
-      core.info(`📦 Build Version ID: ${buildVersionId}`)
+      const targetErrors = []
+      const results = await runBatch(
+        [
+          ...testIds.map(id => ({ testId: id })),
+          ...workflowIds.map(id => ({ workflowId: id }))
+        ],
+        {
+          ...batchSettings,
+          onTargetError: (target, error) => targetErrors.push(error)
+        }
+      )
+      core.saveState('task_done', 'true')
+
+      core.setOutput('success', results.success.toString())
+      core.setOutput('total_tests', results.total_tests.toString())
+      core.setOutput('passed_tests', results.passed_tests.toString())
+      core.setOutput('failed_tests', results.failed_tests.toString())
+      if (results.failure_category) {
+        core.setOutput('failure_category', results.failure_category)
+      }
+      failureClassified = true
+      core.setOutput('results-map', JSON.stringify(buildResultsMap(results)))
+      core.setOutput('results-json', JSON.stringify(results))
+      if (resultsPath) writeResultsFile(resultsPath, results)
+      if (junitReportPath) writeJUnitReport(junitReportPath, results)
+      if (artifactsDir) {
+        await saveArtifacts(artifactsDir, results, statusBaseUrl, client)
+      }
+      await writeBatchJobSummary(results)
+
+      const unsuccessful = results.targets.filter(r => !r.success)
+      // As for a single run, on-infra-error only covers executions that an
+      // infrastructure error stopped before they had a result
+      if (
+        onInfraError !== 'fail' &&
+        unsuccessful.length > 0 &&
+        unsuccessful.length === targetErrors.length &&
+        targetErrors.every(isInfrastructureError)
+      ) {
+        passInfrastructureError(
+          `${unsuccessful.length} of ${results.targets.length} tests and workflows could not run: ` +
+            unsuccessful.map(r => `${r.name} (${r.error_message})`).join(', '),
+          onInfraError
+        )
+        return
+      }
+      if (unsuccessful.length > 0) {
+        throw Error(
+          `${unsuccessful.length} of ${results.targets.length} tests and workflows did not pass: ` +
+            unsuccessful.map(r => `${r.name} (${r.status})`).join(', ')
+        )
+      }
+      core.notice(
+        `✅ All ${results.targets.length} tests and workflows completed successfully`
+      )
+      return true
     }
-    core.info(`🌐 Execution URL: ${initUrl}`)
-    if (noWait) {
-      core.info(`⏩ No-Wait Mode: ENABLED (will not wait for completion)`)
-    } else {
+
+    let taskId
+    let finishedStatus = null
+
+    if (attachTaskId) {
+      // Attach mode: skip queuing and resume monitoring an existing task
+      core.startGroup(`🔗 Attaching to Existing Execution`)
+      core.info(`🆔 Task ID: ${attachTaskId}`)
+      const resolved = await resolveTask(attachTaskId, statusBaseUrl, client)
+      if (!resolved) {
+        throw Error(
+          `Task ${attachTaskId} was not found as a test or workflow execution`
+        )
+      }
+      taskId = attachTaskId
+      testId = resolved.testId
+      workflowId = resolved.workflowId
+      finishedStatus = getTerminalStatus(resolved.task.status)
+
+      core.info(
+        `🎯 ${testId ? 'Test' : 'Workflow'} ID: ${testId || workflowId}`
+      )
+      core.info(`📊 Current Status: ${resolved.task.status || 'unknown'}`)
       core.info(
         `⏱️  Timeout: ${timeoutSeconds}s (${Math.round(timeoutSeconds / 60)} minutes)`
       )
-    }
-    core.endGroup()
+      core.endGroup()
 
-    // Construct the body based on whether we're running a test or workflow
-    const body = testId
-      ? {
-          test_id: testId,
-          retries,
-          ...(buildVersionId && { build_version_id: buildVersionId })
-        }
-      : {
-          workflow_id: workflowId,
-          retries
-        }
+      // Already finished (e.g. the launching job took longer than the run)
+      if (finishedStatus) {
+        finishedStatus = await reportFinishedTask(
+          taskId,
+          testId,
+          workflowId,
+          resolved.task,
+          finishedStatus,
+          statusBaseUrl,
+          client
+        )
+      }
+    } else if (rerunFromTaskId) {
+      // Rerun mode: report the earlier run, then queue only its failed tests
+      core.startGroup(`🔁 Rerunning Failed Tests of an Earlier Execution`)
+      core.info(`🆔 Task ID: ${rerunFromTaskId}`)
+      const previous = await fetchWorkflowTask(
+        rerunFromTaskId,
+        statusBaseUrl,
+        client
+      )
+      if (!previous || !previous.workflow_id) {
+        throw Error(
+          `Task ${rerunFromTaskId} was not found as a workflow execution`
+        )
+      }
+      if (workflowId && workflowId !== previous.workflow_id) {
+        throw Error(
+          `Task ${rerunFromTaskId} ran workflow ${previous.workflow_id}, not workflow-id ${workflowId}`
+        )
+      }
+      finishedStatus = getTerminalStatus(previous.status)
+      if (!finishedStatus) {
+        throw Error(
+          `Task ${rerunFromTaskId} is still ${previous.status || 'running'} - its failed tests can only be rerun once it has finished`
+        )
+      }
+      taskId = rerunFromTaskId
+      workflowId = previous.workflow_id
 
-    const res = await client.postJson(initUrl, body)
+      core.info(`🎯 Workflow ID: ${workflowId}`)
+      core.info(`📊 Status: ${previous.status}`)
+      core.endGroup()
 
-    if (res.statusCode !== 200) {
-      throw Error(
-        `Failed to queue ${testId ? 'test' : 'workflow'}: API returned status code ${res.statusCode}`
+      finishedStatus = await reportFinishedTask(
+        taskId,
+        null,
+        workflowId,
+        previous,
+        finishedStatus,
+        statusBaseUrl,
+        client
+      )
+    } else {
+      const { url: initUrl, body } = buildExecutionRequest(
+        testId,
+        workflowId,
+        executionBaseUrl,
+        executionOptions
       )
-    }
 
-    if (!res.result || !res.result.task_id) {
-      throw Error(
-        `Failed to queue ${testId ? 'test' : 'workflow'}: task_id missing in API response`
+      core.startGroup(`🚀 Starting ${testId ? 'Test' : 'Workflow'} Execution`)
+      core.info(
+        `🎯 ${testId ? 'Test' : 'Workflow'} ID: ${testId || workflowId}`
       )
+      if (buildVersionId) {
+        core.info(`📦 Build Version ID: ${buildVersionId}`)
+      }
+      if (buildVersionIds) {
+        core.info(
+          `📦 Build Version IDs: ${Object.entries(buildVersionIds)
+            .map(([platform, id]) => `${platform}=${id}`)
+            .join(', ')}`
+        )
+      }
+      if (variables) {
+        core.info(`🔧 Variables: ${Object.keys(variables).join(', ')}`)
+      }
+      if (device) {
+        core.info(`📱 Device: ${describeDevice(device)}`)
+      }
+      core.info(`🌐 Execution URL: ${initUrl}`)
+      if (noWait) {
+        core.info(`⏩ No-Wait Mode: ENABLED (will not wait for completion)`)
+      } else {
+        core.info(
+          `⏱️  Timeout: ${timeoutSeconds}s (${Math.round(timeoutSeconds / 60)} minutes)`
+        )
+      }
+      core.endGroup()
+
+      taskId = await queueExecution(
+        client,
+        initUrl,
+        body,
+        testId ? 'test' : 'workflow'
+      )
+      // Replaced by the device the platform reports once a test completes
+      if (device) core.setOutput('device', describeDevice(device))
     }
 
-    const taskId = res.result.task_id
     core.setOutput('task_id', taskId)
 
-    core.startGroup(`📡 Task Queued Successfully`)
-    core.info(`🆔 Task ID: ${taskId}`)
+    // Saved for the post step, which cancels the task if we never finish
+    core.saveState('task_id', taskId)
+    core.saveState('task_kind', testId ? 'test' : 'workflow')
+
+    if (!attachTaskId && !rerunFromTaskId) {
+      core.startGroup(`📡 Task Queued Successfully`)
+      core.info(`🆔 Task ID: ${taskId}`)
+    }
 
     // No-wait mode: wait for execution to start, show reports, then exit
     if (noWait) {
@@ -157,23 +564,165 @@ async function run() {
         `✅ ${testId ? 'Test' : 'Workflow'} execution started successfully (no-wait mode)`
       )
       core.setOutput('success', 'true')
+      // The execution is meant to keep running after we exit
+      core.saveState('task_done', 'true')
       return true
     }
 
-    core.info(`🔄 Starting real-time SSE monitoring...`)
-    core.endGroup()
+    // Mirror the run as a GitHub Check Run, updated as tests finish
+    if (checkRun) {
+      if (githubToken && process.env.GITHUB_REPOSITORY) {
+        checkRunReporter = createCheckRunReporter(checkRunName, githubToken)
+      } else {
+        core.warning(
+          'check-run is enabled but no github-token or repository is available - skipping check run'
+        )
+      }
+    }
 
-    // Use SSE (Server-Sent Events) for real-time monitoring instead of polling
-    const result = await monitorTaskViaSSE(
+    let result = finishedStatus
+    if (!finishedStatus) {
+      if (testId && monitorMode === 'poll') {
+        core.info(`🔄 Starting REST status polling...`)
+      } else {
+        core.info(`🔄 Starting real-time SSE monitoring...`)
+      }
+      if (workflowId && monitorMode === 'poll') {
+        core.warning(
+          'monitor-mode poll applies to tests only - workflows are monitored via SSE with REST fallback'
+        )
+      }
+      if (!attachTaskId) core.endGroup()
+
+      const unregisterSignals = registerCancelOnSignal(
+        [{ taskId, isWorkflow: !testId }],
+        executionBaseUrl,
+        statusBaseUrl,
+        client
+      )
+
+      // Real-time SSE monitoring, REST polling, or SSE with polling fallback
+      try {
+        result = await monitorTask(
+          taskId,
+          testId,
+          workflowId,
+          statusBaseUrl,
+          client,
+          timeoutSeconds,
+          monitorMode,
+          stallTimeoutSeconds,
+          checkRunReporter ? checkRunReporter.onProgress : undefined,
+          quarantine
+        )
+      } finally {
+        unregisterSignals()
+      }
+    }
+
+    let finalStatus = result?.status || result
+
+    if (finalStatus === null) {
+      // Don't leave the execution burning device time after we give up on it
+      const { requested } = await cancelAndConfirm(
+        taskId,
+        !testId,
+        executionBaseUrl,
+        statusBaseUrl,
+        client
+      )
+      if (requested) core.saveState('task_done', 'true')
+    } else {
+      core.saveState('task_done', 'true')
+    }
+
+    // Per-test results for downstream jobs, JUnit reporters and scripts
+    let results = await collectResults(
       taskId,
       testId,
       workflowId,
+      finalStatus || 'timeout',
       statusBaseUrl,
-      client,
-      timeoutSeconds
+      client
     )
 
-    const finalStatus = result?.status || result
+    // Infrastructure failures say nothing about the app - retry just those
+    const infrastructure = { category: 'infrastructure' }
+    if (
+      retryInfraFailures > 0 &&
+      finalStatus === 'failed' &&
+      getRerunnableFailures(results.tests, infrastructure).length > 0
+    ) {
+      results = await rerunFailedTests(
+        results,
+        retryInfraFailures,
+        batchSettings,
+        infrastructure
+      )
+      finalStatus = results.status
+      setRerunOutputs(results)
+    }
+
+    // An earlier run also gets its cancelled tests rerun, on top of rerun-failed
+    const rerunKinds = rerunFromTaskId ? ['failed', 'cancelled'] : ['failed']
+    const rerunAttempts = rerunFromTaskId ? rerunFailed + 1 : rerunFailed
+    if (
+      rerunAttempts > 0 &&
+      (rerunFromTaskId
+        ? ['failed', 'cancelled'].includes(finalStatus)
+        : finalStatus === 'failed')
+    ) {
+      if (!workflowId) {
+        core.warning(RERUN_WORKFLOWS_ONLY)
+      } else if (
+        getRerunnableFailures(results.tests, { kinds: rerunKinds }).length > 0
+      ) {
+        results = await rerunFailedTests(
+          results,
+          rerunAttempts,
+          batchSettings,
+          { kinds: rerunKinds }
+        )
+        finalStatus = results.status
+        setRerunOutputs(results)
+      } else if (rerunFromTaskId) {
+        core.info(
+          `No failed or cancelled tests with a test ID in task ${taskId} - nothing to rerun`
+        )
+      }
+    } else if (rerunFromTaskId) {
+      core.info(`✅ Task ${taskId} has no failed tests - nothing to rerun`)
+    }
+
+    failureClassified = true
+    if (results.failure_category) {
+      core.info(`🏷️ Failure category: ${results.failure_category}`)
+      core.setOutput('failure_category', results.failure_category)
+    }
+    core.setOutput('results-json', JSON.stringify(results))
+    if (resultsPath) writeResultsFile(resultsPath, results)
+    if (junitReportPath) writeJUnitReport(junitReportPath, results)
+    if (artifactsDir) {
+      await saveArtifacts(artifactsDir, results, statusBaseUrl, client)
+    }
+    let policyResult = null
+    if ((passPolicy || quarantine) && finalStatus !== null) {
+      if (workflowId) {
+        policyResult = evaluatePassPolicy(results, passPolicy, quarantine)
+      } else {
+        core.warning(POLICY_WORKFLOWS_ONLY)
+      }
+    }
+    if (workflowId) await writeWorkflowJobSummary(results, policyResult)
+    if (prComment) {
+      await postPrComment(
+        results,
+        testId || workflowId,
+        githubToken,
+        statusBaseUrl
+      )
+    }
+    if (checkRunReporter) await checkRunReporter.complete(results, policyResult)
 
     if (finalStatus === null) {
       throw Error(
@@ -181,6 +730,41 @@ async function run() {
       )
     }
 
+    if (quarantine && policyResult) {
+      core.setOutput(
+        'quarantined_failures',
+        policyResult.quarantined.length.toString()
+      )
+      policyResult.quarantined.forEach(({ test, entry }) =>
+        core.warning(
+          `Quarantined test failed: ${test.name} (owner: ${entry.owner}, reason: ${entry.reason})`,
+          { title: 'Quarantined failure' }
+        )
+      )
+    }
+
+    if (policyResult) {
+      core.startGroup(
+        `📏 Pass Policy: ${policyResult.passed ? 'passed' : 'failed'}`
+      )
+      policyResult.reasons.forEach(reason => core.info(`   ${reason}`))
+      core.endGroup()
+
+      if (policyResult.passed && finalStatus !== 'completed') {
+        core.notice(
+          `✅ Workflow finished with status ${finalStatus} but meets the pass policy: ${policyResult.reasons.join('; ')}`
+        )
+        core.setOutput('success', 'true')
+        return true
+      }
+      if (!policyResult.passed) {
+        core.setOutput('success', 'false')
+        throw Error(
+          `Workflow did not meet the pass policy: ${policyResult.reasons.join('; ')}`
+        )
+      }
+    }
+
     if (finalStatus === 'completed') {
       core.startGroup(
         `🎉 ${testId ? 'Test' : 'Workflow'} Execution Completed Successfully!`
@@ -212,6 +796,26 @@ async function run() {
       `${testId ? 'Test' : 'Workflow'} finished with status '${finalStatus}'. Check logs or artifacts for details.`
     )
   } catch (error) {
+    if (!failureClassified) {
+      core.setOutput('failure_category', classifyError(error))
+    }
+    // Only errors that stopped the action before a result - a run that
+    // finished with failures always fails the step
+    if (
+      onInfraError !== 'fail' &&
+      !failureClassified &&
+      isInfrastructureError(error)
+    ) {
+      passInfrastructureError(error.message, onInfraError)
+      if (checkRunReporter) {
+        await checkRunReporter.abort(
+          error,
+          onInfraError === 'warn' ? 'neutral' : 'skipped'
+        )
+      }
+      return
+    }
+    if (checkRunReporter) await checkRunReporter.abort(error)
     core.setFailed(error.message)
   }
 }
@@ -1,42 +1,151 @@
 const core = require('@actions/core')
-const EventSource = require('eventsource')
-const { monitorTest } = require('./monitorTest')
-const { monitorWorkflow } = require('./monitorWorkflow')
+const { monitorTest, reportTestTask } = require('./monitorTest')
+const { pollTest } = require('./pollTest')
+const {
+  monitorWorkflow,
+  fetchFinalWorkflowResults,
+  setWorkflowOutputs,
+  logWorkflowSummary
+} = require('./monitorWorkflow')
+const { connectUnifiedStream } = require('./stream')
 
 // Dashboard URL for reports
 const DASHBOARD_BASE_URL = 'https://app.revyl.ai'
 
 /**
- * Monitor task execution via SSE (dispatcher)
+ * Monitor task execution (dispatcher)
  * @param {string} taskId - The task ID to monitor
  * @param {string|null} testId - Test ID if monitoring a test
  * @param {string|null} workflowId - Workflow ID if monitoring a workflow
  * @param {string} backendBaseUrl - Backend base URL for SSE and report API
  * @param {object} client - HTTP client for additional requests
  * @param {number} timeoutSeconds - Maximum time to wait
+ * @param {string} monitorMode - sse, poll or auto (tests only; workflows
+ *   always use SSE with their own REST fallback)
+ * @param {number} stallTimeoutSeconds - Reconnect and reconcile via REST when
+ *   the stream is silent this long (0 disables)
+ * @param {Function} onProgress - Called as the task and its tests start and
+ *   finish (stream monitoring only)
+ * @param {Array<object>|null} quarantine - Quarantined tests (workflows only)
  * @returns {Promise<string|null>} Final status or null if timeout
  */
-async function monitorTaskViaSSE(
+async function monitorTask(
   taskId,
   testId,
   workflowId,
   backendBaseUrl,
   client,
-  timeoutSeconds
+  timeoutSeconds,
+  monitorMode = 'sse',
+  stallTimeoutSeconds = 0,
+  onProgress = () => {},
+  quarantine = null
 ) {
-  if (testId)
-    return monitorTest(taskId, testId, backendBaseUrl, client, timeoutSeconds)
+  if (testId) {
+    if (monitorMode === 'poll') {
+      return pollTest(taskId, testId, backendBaseUrl, client, timeoutSeconds)
+    }
+    if (monitorMode === 'sse') {
+      return monitorTest(
+        taskId,
+        testId,
+        backendBaseUrl,
+        client,
+        timeoutSeconds,
+        stallTimeoutSeconds,
+        onProgress
+      )
+    }
+
+    const startTime = Date.now()
+    try {
+      return await monitorTest(
+        taskId,
+        testId,
+        backendBaseUrl,
+        client,
+        timeoutSeconds,
+        stallTimeoutSeconds,
+        onProgress
+      )
+    } catch (error) {
+      const remainingSeconds = Math.max(
+        0,
+        timeoutSeconds - (Date.now() - startTime) / 1000
+      )
+      core.warning(
+        `SSE monitoring failed (${error.message}) - falling back to REST polling`
+      )
+      return pollTest(taskId, testId, backendBaseUrl, client, remainingSeconds)
+    }
+  }
   if (workflowId)
     return monitorWorkflow(
       taskId,
       workflowId,
       backendBaseUrl,
       client,
-      timeoutSeconds
+      timeoutSeconds,
+      stallTimeoutSeconds,
+      onProgress,
+      quarantine
     )
   return null
 }
 
+/**
+ * Report a task that already finished before monitoring began (e.g. when
+ * attaching to an existing task ID), using the REST task payloads
+ * @param {string} taskId - The task ID
+ * @param {string|null} testId - Test ID if the task is a test
+ * @param {string|null} workflowId - Workflow ID if the task is a workflow
+ * @param {object} task - Task payload from the status API
+ * @param {string} finalStatus - Normalized final status
+ * @param {string} backendBaseUrl - Backend base URL for the report API
+ * @param {object} client - HTTP client for additional requests
+ * @returns {Promise<string>} Final status
+ */
+async function reportFinishedTask(
+  taskId,
+  testId,
+  workflowId,
+  task,
+  finalStatus,
+  backendBaseUrl,
+  client
+) {
+  if (testId) {
+    return reportTestTask(task, finalStatus, testId, backendBaseUrl)
+  }
+
+  const results = await fetchFinalWorkflowResults(
+    taskId,
+    backendBaseUrl,
+    client
+  )
+  const workflowName = task.workflow_name || workflowId
+  if (finalStatus === 'cancelled') {
+    core.warning('⚠️ Workflow cancelled')
+  } else {
+    logWorkflowSummary(
+      finalStatus === 'completed',
+      workflowName,
+      null,
+      results?.passed_tests || 0,
+      results?.failed_tests || 0
+    )
+  }
+  setWorkflowOutputs(results, finalStatus, finalStatus === 'completed')
+
+  const failedTest = (results?.tests || []).find(
+    t => (t.status === 'failed' || t.status === 'error') && t.error
+  )
+  if (finalStatus === 'failed' && failedTest) {
+    core.setOutput('error_message', failedTest.error)
+  }
+  return finalStatus
+}
+
 /**
  * Wait for test/workflow to start via SSE, then return immediately
  * Used for no-wait mode to confirm execution has started before exiting
@@ -54,196 +163,179 @@ async function waitForStart(
   backendBaseUrl,
   timeoutSeconds = 120
 ) {
-  return new Promise((resolve, reject) => {
-    const sseUrl = `${backendBaseUrl}/api/v1/monitor/stream/unified`
-    const eventSource = new EventSource(sseUrl, {
-      headers: { Authorization: `Bearer ${process.env['REVYL_API_KEY']}` }
-    })
-
-    const startTime = Date.now()
+  return new Promise(resolve => {
     const childTests = [] // For workflows, track child test info
+    let stream = null
 
-    const timeoutHandle = setTimeout(() => {
-      eventSource.close()
-      // Timeout - execution was queued but never started
-      core.warning(
-        `Timeout waiting for execution to start (${timeoutSeconds}s)`
-      )
-      resolve({ started: false, timedOut: true, childTests })
-    }, timeoutSeconds * 1000)
-
-    eventSource.onopen = () => {
-      core.info(
-        '🔗 SSE connection established - waiting for execution to start...'
-      )
+    /**
+     * Stop listening and resolve with the start result
+     */
+    function finish(result) {
+      stream.close()
+      resolve({ ...result, childTests })
     }
 
-    eventSource.onerror = error => {
-      let errorMsg = 'SSE connection error while waiting for start'
-      if (error && error.message) errorMsg += `: ${error.message}`
+    // Track workflow info when it starts
+    let workflowInfo = null
 
-      eventSource.close()
-      clearTimeout(timeoutHandle)
-      // Don't fail on SSE error - task was still queued
-      core.warning(errorMsg)
-      resolve({ started: true, sseError: true, childTests })
+    /**
+     * Resolve if we see completion events (execution was fast)
+     */
+    const onCompletion = data => {
+      if (data.task_id === taskId) {
+        core.info(`⚡ Execution completed quickly`)
+        finish({ started: true, completed: true })
+      }
     }
 
-    // Check initial state for already-running executions
-    eventSource.addEventListener('initial_state', event => {
-      try {
-        const data = JSON.parse(event.data)
-
-        if (testId) {
-          const runningTests = data.running_tests || []
-          const ourTest = runningTests.find(t => t.task_id === taskId)
-          if (ourTest) {
-            core.info(`✅ Test already running: ${ourTest.test_name || testId}`)
-            eventSource.close()
-            clearTimeout(timeoutHandle)
-            resolve({ started: true, testName: ourTest.test_name, childTests })
-            return
-          }
+    stream = connectUnifiedStream(backendBaseUrl, {
+      taskId,
+      timeoutSeconds,
+      onTimeout: () => {
+        // Don't fail if the stream never came up - task was still queued
+        if (!stream.getStats().lastConnectedAt) {
+          core.warning(
+            'SSE connection error while waiting for start: could not connect to the stream'
+          )
+          resolve({ started: true, sseError: true, childTests })
+          return
         }
-
-        if (workflowId) {
-          const runningWorkflows = data.running_workflows || []
-          const ourWorkflow = runningWorkflows.find(
-            wf => wf.task && wf.task.task_id === taskId
+        // Timeout - execution was queued but never started
+        core.warning(
+          `Timeout waiting for execution to start (${timeoutSeconds}s)`
+        )
+        resolve({ started: false, timedOut: true, childTests })
+      },
+      onOpen: ({ reconnected }) => {
+        if (!reconnected) {
+          core.info(
+            '🔗 SSE connection established - waiting for execution to start...'
           )
-          if (ourWorkflow) {
-            core.info(
-              `✅ Workflow already running: ${ourWorkflow.workflow_name || workflowId}`
-            )
-            // Collect any child tests
+        }
+      },
+      onGiveUp: error => {
+        // Don't fail on SSE error - task was still queued
+        core.warning(`${error.message} while waiting for start`)
+        resolve({ started: true, sseError: true, childTests })
+      },
+      onServerError: error => {
+        core.warning(`${error.message} while waiting for start`)
+        resolve({ started: true, sseError: true, childTests })
+      },
+      handlers: {
+        // Check initial state for already-running executions
+        initial_state: data => {
+          if (testId) {
             const runningTests = data.running_tests || []
-            runningTests.forEach(t => {
-              if (t.parent_workflow_task_id === taskId) {
-                childTests.push({
-                  taskId: t.task_id,
-                  testName: t.test_name,
-                  reportUrl: `${DASHBOARD_BASE_URL}/tests/report?taskId=${t.task_id}`
-                })
-              }
-            })
-            eventSource.close()
-            clearTimeout(timeoutHandle)
-            resolve({
-              started: true,
-              workflowName: ourWorkflow.workflow_name,
-              childTests
-            })
-            return
+            const ourTest = runningTests.find(t => t.task_id === taskId)
+            if (ourTest) {
+              core.info(
+                `✅ Test already running: ${ourTest.test_name || testId}`
+              )
+              finish({ started: true, testName: ourTest.test_name })
+              return
+            }
           }
-        }
-      } catch (e) {
-        core.debug(`Failed to parse initial_state: ${e.message}`)
-      }
-    })
 
-    // Track workflow info when it starts
-    let workflowInfo = null
+          if (workflowId) {
+            const runningWorkflows = data.running_workflows || []
+            const ourWorkflow = runningWorkflows.find(
+              wf => wf.task && wf.task.task_id === taskId
+            )
+            if (ourWorkflow) {
+              core.info(
+                `✅ Workflow already running: ${ourWorkflow.workflow_name || workflowId}`
+              )
+              // Collect any child tests
+              const runningTests = data.running_tests || []
+              runningTests.forEach(t => {
+                if (t.parent_workflow_task_id === taskId) {
+                  childTests.push({
+                    taskId: t.task_id,
+                    testName: t.test_name,
+                    reportUrl: `${DASHBOARD_BASE_URL}/tests/report?taskId=${t.task_id}`
+                  })
+                }
+              })
+              finish({ started: true, workflowName: ourWorkflow.workflow_name })
+            }
+          }
+        },
 
-    // Listen for test start events
-    eventSource.addEventListener('test_started', event => {
-      try {
-        const data = JSON.parse(event.data)
-        const test = data.test
-
-        // Direct test execution
-        if (testId && test && test.task_id === taskId) {
-          eventSource.close()
-          clearTimeout(timeoutHandle)
-          resolve({ started: true, testName: test.test_name, childTests })
-          return
-        }
+        // Listen for test start events
+        test_started: data => {
+          const test = data.test
 
-        // Child test of workflow - collect all tests before exiting
-        if (workflowId && test && test.parent_workflow_task_id === taskId) {
-          const reportUrl = `${DASHBOARD_BASE_URL}/tests/report?taskId=${test.task_id}`
-          childTests.push({
-            taskId: test.task_id,
-            testName: test.test_name,
-            reportUrl
-          })
-
-          // Print in same format as regular monitoring
-          core.info(`  🧪 ${test.test_name}`)
-          core.info(`     📋 Report: ${reportUrl}`)
-
-          // Exit once ALL tests have started (or if we don't know total, exit after first)
-          const totalTests = workflowInfo?.totalTests || 1
-          if (childTests.length >= totalTests) {
-            eventSource.close()
-            clearTimeout(timeoutHandle)
-            resolve({
-              started: true,
-              workflowName: workflowInfo?.workflowName || workflowId,
-              totalTests: workflowInfo?.totalTests,
-              childTests
-            })
+          // Direct test execution
+          if (testId && test && test.task_id === taskId) {
+            finish({ started: true, testName: test.test_name })
+            return
           }
-        }
-      } catch (e) {
-        core.debug(`Failed to parse test_started: ${e.message}`)
-      }
-    })
 
-    // Listen for workflow start events
-    eventSource.addEventListener('workflow_started', event => {
-      try {
-        const data = JSON.parse(event.data)
-        if (
-          data.workflow &&
-          data.workflow.task &&
-          data.workflow.task.task_id === taskId
-        ) {
-          const wf = data.workflow
-          // Store workflow info but don't exit yet - wait for first test
-          workflowInfo = {
-            workflowName: wf.workflow_name,
-            totalTests: wf.task.total_tests
+          // Child test of workflow - collect all tests before exiting
+          if (workflowId && test && test.parent_workflow_task_id === taskId) {
+            // Don't list a child twice if it is replayed after a reconnect
+            if (childTests.some(t => t.taskId === test.task_id)) return
+
+            const reportUrl = `${DASHBOARD_BASE_URL}/tests/report?taskId=${test.task_id}`
+            childTests.push({
+              taskId: test.task_id,
+              testName: test.test_name,
+              reportUrl
+            })
+
+            // Print in same format as regular monitoring
+            core.info(`  🧪 ${test.test_name}`)
+            core.info(`     📋 Report: ${reportUrl}`)
+
+            // Exit once ALL tests have started (or if we don't know total, exit after first)
+            const totalTests = workflowInfo?.totalTests || 1
+            if (childTests.length >= totalTests) {
+              finish({
+                started: true,
+                workflowName: workflowInfo?.workflowName || workflowId,
+                totalTests: workflowInfo?.totalTests
+              })
+            }
           }
-          core.info(
-            `🚀 ${wf.workflow_name || workflowId} (${wf.task.total_tests || '?'} tests)`
-          )
-          core.info(``)
-        }
-      } catch (e) {
-        core.debug(`Failed to parse workflow_started: ${e.message}`)
-      }
-    })
+        },
 
-    // Also resolve if we see completion events (execution was fast)
-    const completionEvents = [
-      'test_completed',
-      'test_completed_with_data',
-      'test_failed',
-      'test_failed_with_data',
-      'workflow_completed',
-      'workflow_failed'
-    ]
-    completionEvents.forEach(eventType => {
-      eventSource.addEventListener(eventType, event => {
-        try {
-          const data = JSON.parse(event.data)
-          if (data.task_id === taskId) {
-            core.info(`⚡ Execution completed quickly`)
-            eventSource.close()
-            clearTimeout(timeoutHandle)
-            resolve({ started: true, completed: true, childTests })
+        // Listen for workflow start events
+        workflow_started: data => {
+          if (
+            data.workflow &&
+            data.workflow.task &&
+            data.workflow.task.task_id === taskId &&
+            !workflowInfo
+          ) {
+            const wf = data.workflow
+            // Store workflow info but don't exit yet - wait for first test
+            workflowInfo = {
+              workflowName: wf.workflow_name,
+              totalTests: wf.task.total_tests
+            }
+            core.info(
+              `🚀 ${wf.workflow_name || workflowId} (${wf.task.total_tests || '?'} tests)`
+            )
+            core.info(``)
           }
-        } catch (e) {
-          // Ignore parse errors for completion events
-        }
-      })
+        },
+
+        test_completed: onCompletion,
+        test_completed_with_data: onCompletion,
+        test_failed: onCompletion,
+        test_failed_with_data: onCompletion,
+        workflow_completed: onCompletion,
+        workflow_failed: onCompletion
+      }
     })
   })
 }
 
 module.exports = {
-  monitorTaskViaSSE,
+  monitorTask,
   monitorTest,
   monitorWorkflow,
+  reportFinishedTask,
   waitForStart
 }
@@ -1,34 +1,153 @@
 const core = require('@actions/core')
-const EventSource = require('eventsource')
 const { logProgress } = require('./progress')
 const { generateShareableReportLink } = require('./report')
 const { setOutputsFromCompletedTest } = require('./outputs')
+const { fetchTestTask, getTerminalStatus } = require('./tasks')
+const { connectUnifiedStream } = require('./stream')
+const { isCapturing } = require('./logCapture')
 
 /**
- * Safely parse JSON from SSE event data
- * @param {any} event - The SSE event
- * @param {string} eventType - The event type for logging
- * @returns {object|null} Parsed data or null if parsing fails
+ * Add a finished test to the job summary, unless it runs as part of a batch
+ * or a rerun
+ * @param {string} heading - Section heading
+ * @param {string} body - Markdown body
+ * @returns {Promise<void>}
  */
-function safeParseEventData(event, eventType) {
+async function writeTestJobSummary(heading, body) {
+  if (isCapturing()) return
   try {
-    return JSON.parse(event.data)
+    await core.summary.addHeading(heading, 2).addRaw(body).write()
   } catch (error) {
-    core.error(
-      `Failed to parse ${eventType} event data: ${error.message}`
+    core.warning(`Failed to write test job summary: ${error.message}`)
+  }
+}
+
+/**
+ * Report a finished test: shareable report link, annotations, job summary and
+ * outputs
+ * @param {object} testData - Completed or failed test payload
+ * @param {string} testName - Display name of the test
+ * @param {boolean} passed - Whether the test passed
+ * @param {string} testId - The test ID
+ * @param {string} backendBaseUrl - Backend base URL for the report API
+ * @returns {Promise<string|null>} Shareable report link or null
+ */
+async function reportTestResult(
+  testData,
+  testName,
+  passed,
+  testId,
+  backendBaseUrl
+) {
+  core.info(
+    passed
+      ? '🔗 Generating shareable report link...'
+      : '🔗 Generating shareable report link for failed test...'
+  )
+  const reportLink = await generateShareableReportLink(testData, backendBaseUrl)
+
+  if (reportLink && passed) {
+    core.notice(`📊 Test Report: ${reportLink}`, {
+      title: '✅ Test Completed Successfully',
+      file: 'test-execution'
+    })
+    core.setOutput('report_link', reportLink)
+    await writeTestJobSummary(
+      'Test Execution Completed 🎉 ',
+      `
+**Test Name:** \`${testName}\`
+**Status:** ✅ Success
+**Report:** [View Detailed Report](${reportLink})
+
+The test has completed successfully! Click the report link above to view detailed execution logs, screenshots, and performance metrics.
+              `
     )
-    core.debug(`Malformed event data: ${event.data}`)
-    return null
+  } else if (reportLink) {
+    core.error(`❌ Test Failed: ${testName}`, {
+      title: 'Test Execution Failed',
+      file: 'test-execution'
+    })
+    core.notice(`📊 Failure Report: ${reportLink}`, {
+      title: '🔍 Debug Information Available'
+    })
+    core.setOutput('report_link', reportLink)
+    await writeTestJobSummary(
+      'Test Execution Failed ❌',
+      `
+**Test ID:** \`${testName}\`
+**Status:** ❌ Failed
+**Report:** [View Failure Analysis](${reportLink})
+
+The test execution failed. The detailed report contains:
+- 📸 Screenshots at failure point
+- 📋 Execution logs and error details  
+- 🔍 Step-by-step execution trace
+- 💡 Suggested debugging steps
+
+Click the report link above to investigate the failure.
+              `
+    )
+  } else {
+    core.warning('⚠️  Could not generate shareable report link')
   }
+
+  setOutputsFromCompletedTest(testData, testId, null)
+  return reportLink
 }
 
 /**
- * Monitor a single test task via SSE using the unified stream endpoint
+ * Report a finished test from its REST task payload (polling, reconnection
+ * recovery or attaching to a task that already finished)
+ * @param {object} task - Enhanced test execution task
+ * @param {string} finalStatus - Normalized final status
+ * @param {string} testId - The test ID
+ * @param {string} backendBaseUrl - Backend base URL for the report API
+ * @returns {Promise<string>} Final status
+ */
+async function reportTestTask(task, finalStatus, testId, backendBaseUrl) {
+  const testName = task.test_name || testId
+  if (finalStatus === 'cancelled') {
+    core.warning(`🚫 Test cancelled: ${testName}`)
+    core.setOutput('success', 'false')
+    return finalStatus
+  }
+
+  const passed = finalStatus === 'completed'
+  core.startGroup(
+    passed
+      ? `✅ Test Completed Successfully: ${testName}`
+      : `❌ Test Failed: ${testName}`
+  )
+  await reportTestResult(
+    {
+      status: finalStatus,
+      duration: task.duration,
+      test_uid: task.test_id,
+      enhanced_task: task
+    },
+    testName,
+    passed,
+    testId,
+    backendBaseUrl
+  )
+  core.endGroup()
+  return finalStatus
+}
+
+/**
+ * Monitor a single test task over the shared unified stream connection. After
+ * a reconnect the test is re-synced from initial_state; if it finished while
+ * we were disconnected, the terminal result is recovered from the REST task
+ * endpoint.
  * @param {string} taskId - The task ID to monitor
  * @param {string} testId - The test ID
  * @param {string} backendBaseUrl - Backend base URL for SSE and report API
  * @param {object} client - HTTP client for additional requests
  * @param {number} timeoutSeconds - Maximum time to wait
+ * @param {number} stallTimeoutSeconds - Reconnect and reconcile via REST when
+ *   the stream is silent this long (0 disables)
+ * @param {Function} onProgress - Called with { type, taskId, name, status }
+ *   as tests start (test_started) and finish (test_finished)
  * @returns {Promise<string|null>} Final status or null if timeout
  */
 async function monitorTest(
@@ -36,264 +155,202 @@ async function monitorTest(
   testId,
   backendBaseUrl,
   client,
-  timeoutSeconds
+  timeoutSeconds,
+  stallTimeoutSeconds = 0,
+  onProgress = () => {}
 ) {
   return new Promise((resolve, reject) => {
-    const startTime = Date.now()
     let finalStatus = null
-    let reportLink = null
-
-    const sseUrl = `${backendBaseUrl}/api/v1/monitor/stream/unified`
-    const eventSource = new EventSource(sseUrl, {
-      headers: { Authorization: `Bearer ${process.env['REVYL_API_KEY']}` }
-    })
-
-    const timeoutHandle = setTimeout(() => {
-      eventSource.close()
-      if (finalStatus === null) resolve(null)
-    }, timeoutSeconds * 1000)
-
-    eventSource.onopen = () => {
-      core.info(
-        '🔗 SSE connection established - monitoring test execution in real-time'
-      )
+    let stream = null
+    let testName = testId
+
+    /**
+     * Stop monitoring with a final status
+     */
+    function finish(status) {
+      finalStatus = status
+      stream.close()
+      onProgress({
+        type: 'test_finished',
+        taskId,
+        name: testName,
+        status: status === 'completed' ? 'passed' : status
+      })
+      resolve(status)
     }
 
-    eventSource.onerror = error => {
-      // EventSource error events don't contain detailed error info
-      // Try to extract what we can
-      let errorMsg = 'SSE connection failed'
-
-      if (error) {
-        // Check various properties that might exist
-        if (error.message) errorMsg += `: ${error.message}`
-        else if (error.status) errorMsg += ` (HTTP ${error.status})`
-        else if (error.type === 'error') errorMsg += ' - check network connectivity and authentication'
-      }
-
-      core.error(errorMsg)
+    /**
+     * Announce that the test is running
+     */
+    function started(name) {
+      testName = name || testName
+      onProgress({ type: 'test_started', taskId, name: testName })
+    }
 
-      eventSource.close()
-      clearTimeout(timeoutHandle)
-      reject(new Error(errorMsg))
+    /**
+     * Recover the terminal result from REST if the test is no longer running
+     * @returns {Promise<boolean>} True if a terminal result was reported
+     */
+    async function recoverFromRest() {
+      const task = await fetchTestTask(taskId, backendBaseUrl, client)
+      const status = getTerminalStatus(task?.status)
+      if (!status || finalStatus !== null) return false
+
+      finalStatus = status
+      core.info(`🔁 Test finished while disconnected - recovered from REST`)
+      await reportTestTask(task, status, testId, backendBaseUrl)
+      finish(status)
+      return true
     }
 
-    eventSource.addEventListener('connection_ready', event => {
-      const data = safeParseEventData(event, 'connection_ready')
-      if (data) {
-        core.info(`🏢 Connected to organization: ${data.org_id}`)
+    /**
+     * Report a terminal event that carries the full test payload
+     */
+    async function finishWithData(data, status, testData) {
+      if (data.task_id !== taskId || finalStatus !== null) return
+
+      // Claim the result before reporting so a dropped stream can't race us
+      finalStatus = status
+      const passed = status === 'completed'
+      core.startGroup(
+        passed
+          ? `✅ Test Completed Successfully: ${data.test_name}`
+          : `❌ Test Failed: ${data.test_name}`
+      )
+      if (testData) {
+        await reportTestResult(
+          testData,
+          data.test_name,
+          passed,
+          testId,
+          backendBaseUrl
+        )
       }
-    })
-
-    eventSource.addEventListener('initial_state', event => {
-      const data = safeParseEventData(event, 'initial_state')
-      if (!data) return
-
-      const runningTests = data.running_tests || []
+      core.endGroup()
+      finish(status)
+    }
 
-      // Find our test in the array (tests are OrgTestMonitorItem objects)
-      const ourTestItem = runningTests.find(item => item.task_id === taskId)
-      if (ourTestItem) {
-        // Convert OrgTestMonitorItem to the format expected by logProgress
-        // OrgTestMonitorItem has: task_id, test_id, test_name, status, phase, etc.
-        const testData = {
-          task_id: ourTestItem.task_id,
-          test_id: ourTestItem.test_id,
-          test_name: ourTestItem.test_name,
-          status: ourTestItem.status,
-          phase: ourTestItem.phase,
-          current_step: ourTestItem.current_step,
-          current_step_index: ourTestItem.current_step_index,
-          total_steps: ourTestItem.total_steps,
-          steps_completed: ourTestItem.steps_completed,
-          progress: ourTestItem.progress
-        }
-        logProgress(testData, testId, null)
-      } else {
+    stream = connectUnifiedStream(backendBaseUrl, {
+      taskId,
+      timeoutSeconds,
+      staleSeconds: stallTimeoutSeconds,
+      onStall: () => {
+        // A stalled stream may have swallowed the completion event
+        recoverFromRest().catch(err =>
+          core.warning(`Could not fetch status after stall: ${err.message}`)
+        )
+      },
+      onTimeout: () => {
+        if (finalStatus === null) resolve(null)
+      },
+      onOpen: ({ reconnected }) => {
         core.info(
-          `📡 Connected to unified stream - waiting for test ${testId} (task: ${taskId}) to start...`
+          reconnected
+            ? '🔗 SSE connection re-established - re-syncing test state'
+            : '🔗 SSE connection established - monitoring test execution in real-time'
         )
-      }
-    })
-
-    eventSource.addEventListener('test_started', event => {
-      const data = safeParseEventData(event, 'test_started')
-      if (!data) return
-
-      if (data.test && data.test.task_id === taskId) {
-        core.startGroup(`🚀 Test Started: ${data.test.test_name || testId}`)
-        logProgress(data.test, testId, null)
-        core.endGroup()
-      }
-    })
-
-    eventSource.addEventListener('test_updated', event => {
-      const data = safeParseEventData(event, 'test_updated')
-      if (!data) return
-
-      if (data.test && data.test.task_id === taskId)
-        logProgress(data.test, testId, null)
-    })
-
-    eventSource.addEventListener('test_completed_with_data', async event => {
-      const data = safeParseEventData(event, 'test_completed_with_data')
-      if (!data) return
-
-      if (data.task_id === taskId) {
-        core.startGroup(`✅ Test Completed Successfully: ${data.test_name}`)
-        if (data.completed_test) {
-          core.info('🔗 Generating shareable report link...')
-          reportLink = await generateShareableReportLink(
-            data.completed_test,
-            backendBaseUrl
-          )
-          if (reportLink) {
-            core.notice(`📊 Test Report: ${reportLink}`, {
-              title: '✅ Test Completed Successfully',
-              file: 'test-execution'
-            })
-            core.setOutput('report_link', reportLink)
-            core.summary
-              .addHeading('Test Execution Completed 🎉 ', 2)
-              .addRaw(
-                `
-**Test Name:** \`${data.test_name}\`
-**Status:** ✅ Success
-**Report:** [View Detailed Report](${reportLink})
-
-The test has completed successfully! Click the report link above to view detailed execution logs, screenshots, and performance metrics.
-              `
-              )
-              .write()
-          } else {
-            core.warning('⚠️  Could not generate shareable report link')
+      },
+      onGiveUp: error => {
+        if (finalStatus !== null) return
+        core.info('Attempting to fetch final status via REST API...')
+        recoverFromRest()
+          .then(recovered => {
+            if (!recovered) reject(error)
+          })
+          .catch(err => reject(new Error(`${error.message}: ${err.message}`)))
+      },
+      onServerError: error => {
+        core.info(
+          'Troubleshooting: Verify REVYL_API_KEY is valid and backend service is healthy'
+        )
+        reject(error)
+      },
+      handlers: {
+        connection_ready: (data, { reconnected }) => {
+          if (!reconnected) {
+            core.info(`🏢 Connected to organization: ${data.org_id}`)
           }
-          setOutputsFromCompletedTest(data.completed_test, testId, null)
-        }
-        core.endGroup()
-        finalStatus = 'completed'
-        eventSource.close()
-        clearTimeout(timeoutHandle)
-        resolve(finalStatus)
-      }
-    })
-
-    eventSource.addEventListener('test_failed_with_data', async event => {
-      const data = safeParseEventData(event, 'test_failed_with_data')
-      if (!data) return
-
-      if (data.task_id === taskId) {
-        core.startGroup(`❌ Test Failed: ${data.test_name}`)
-        if (data.failed_test) {
-          core.info('🔗 Generating shareable report link for failed test...')
-          reportLink = await generateShareableReportLink(
-            data.failed_test,
-            backendBaseUrl
-          )
-          if (reportLink) {
-            core.error(`❌ Test Failed: ${data.test_name}`, {
-              title: 'Test Execution Failed',
-              file: 'test-execution'
-            })
-            core.notice(`📊 Failure Report: ${reportLink}`, {
-              title: '🔍 Debug Information Available'
-            })
-            core.setOutput('report_link', reportLink)
-            core.summary
-              .addHeading('Test Execution Failed ❌', 2)
-              .addRaw(
-                `
-**Test ID:** \`${data.test_name}\`
-**Status:** ❌ Failed
-**Report:** [View Failure Analysis](${reportLink})
-
-The test execution failed. The detailed report contains:
-- 📸 Screenshots at failure point
-- 📋 Execution logs and error details  
-- 🔍 Step-by-step execution trace
-- 💡 Suggested debugging steps
-
-Click the report link above to investigate the failure.
-              `
+        },
+
+        initial_state: (data, { reconnected }) => {
+          const runningTests = data.running_tests || []
+
+          // Find our test in the array (tests are OrgTestMonitorItem objects)
+          const ourTestItem = runningTests.find(item => item.task_id === taskId)
+          if (ourTestItem) {
+            // Convert OrgTestMonitorItem to the format expected by logProgress
+            // OrgTestMonitorItem has: task_id, test_id, test_name, status, phase, etc.
+            const testData = {
+              task_id: ourTestItem.task_id,
+              test_id: ourTestItem.test_id,
+              test_name: ourTestItem.test_name,
+              status: ourTestItem.status,
+              phase: ourTestItem.phase,
+              current_step: ourTestItem.current_step,
+              current_step_index: ourTestItem.current_step_index,
+              total_steps: ourTestItem.total_steps,
+              steps_completed: ourTestItem.steps_completed,
+              progress: ourTestItem.progress
+            }
+            logProgress(testData, testId, null)
+            started(ourTestItem.test_name)
+          } else if (reconnected) {
+            // Not running any more - it may have finished while we were away
+            recoverFromRest().catch(err =>
+              core.warning(
+                `Could not fetch status after reconnection: ${err.message}`
               )
-              .write()
+            )
           } else {
-            core.warning('⚠️  Could not generate shareable report link')
+            core.info(
+              `📡 Connected to unified stream - waiting for test ${testId} (task: ${taskId}) to start...`
+            )
           }
-          setOutputsFromCompletedTest(data.failed_test, testId, null)
-        }
-        core.endGroup()
-        finalStatus = 'failed'
-        eventSource.close()
-        clearTimeout(timeoutHandle)
-        resolve(finalStatus)
-      }
-    })
-
-    eventSource.addEventListener('test_completed', event => {
-      const data = safeParseEventData(event, 'test_completed')
-      if (!data) return
+        },
+
+        test_started: data => {
+          if (data.test && data.test.task_id === taskId) {
+            core.startGroup(`🚀 Test Started: ${data.test.test_name || testId}`)
+            logProgress(data.test, testId, null)
+            core.endGroup()
+            started(data.test.test_name)
+          }
+        },
 
-      if (data.task_id === taskId) {
-        console.log(`✅ Test completed: ${data.test_name}`)
-        finalStatus = 'completed'
-        eventSource.close()
-        clearTimeout(timeoutHandle)
-        resolve(finalStatus)
-      }
-    })
+        test_updated: data => {
+          if (data.test && data.test.task_id === taskId)
+            logProgress(data.test, testId, null)
+        },
 
-    eventSource.addEventListener('test_failed', event => {
-      const data = safeParseEventData(event, 'test_failed')
-      if (!data) return
+        test_completed_with_data: data =>
+          finishWithData(data, 'completed', data.completed_test),
 
-      if (data.task_id === taskId) {
-        console.log(`❌ Test failed: ${data.test_name}`)
-        finalStatus = 'failed'
-        eventSource.close()
-        clearTimeout(timeoutHandle)
-        resolve(finalStatus)
-      }
-    })
-
-    eventSource.addEventListener('test_cancelled', event => {
-      const data = safeParseEventData(event, 'test_cancelled')
-      if (!data) return
+        test_failed_with_data: data =>
+          finishWithData(data, 'failed', data.failed_test),
 
-      if (data.task_id === taskId) {
-        console.log(`🚫 Test cancelled: ${data.test_name}`)
-        finalStatus = 'cancelled'
-        eventSource.close()
-        clearTimeout(timeoutHandle)
-        resolve(finalStatus)
-      }
-    })
+        test_completed: data => {
+          if (data.task_id === taskId && finalStatus === null) {
+            console.log(`✅ Test completed: ${data.test_name}`)
+            finish('completed')
+          }
+        },
 
-    eventSource.addEventListener('heartbeat', event => {
-      // Keep-alive signal from unified stream
-      // The unified endpoint doesn't include active_tests count in heartbeat
-      // No action needed, connection is healthy
-    })
+        test_failed: data => {
+          if (data.task_id === taskId && finalStatus === null) {
+            console.log(`❌ Test failed: ${data.test_name}`)
+            finish('failed')
+          }
+        },
 
-    eventSource.addEventListener('error', event => {
-      const data = safeParseEventData(event, 'error')
-      if (data) {
-        const errorMessage = data.error || data.message || 'Unknown SSE error'
-        core.error(`SSE error event: ${errorMessage}`)
-        eventSource.close()
-        clearTimeout(timeoutHandle)
-        reject(new Error(`SSE error: ${errorMessage}`))
-      } else {
-        // Handle non-JSON error events - this is usually a connection-level issue
-        core.error('SSE error event received (non-JSON) - likely a connection or authentication issue')
-        core.error('Event details:', JSON.stringify({ type: event.type, data: event.data }))
-        core.info('Troubleshooting: Verify REVYL_API_KEY is valid and backend service is healthy')
-        eventSource.close()
-        clearTimeout(timeoutHandle)
-        reject(new Error('SSE connection error - check authentication and network connectivity'))
+        test_cancelled: data => {
+          if (data.task_id === taskId && finalStatus === null) {
+            console.log(`🚫 Test cancelled: ${data.test_name}`)
+            finish('cancelled')
+          }
+        }
       }
     })
   })
 }
 
-module.exports = { monitorTest }
+module.exports = { monitorTest, reportTestResult, reportTestTask }
@@ -1,39 +1,16 @@
 const core = require('@actions/core')
-const EventSource = require('eventsource')
-
-// Reconnection configuration
-const MAX_RECONNECT_ATTEMPTS = 10
-const MAX_BACKOFF_MS = 30000 // 30 seconds
-const INITIAL_BACKOFF_MS = 1000 // 1 second
+const { connectUnifiedStream } = require('./stream')
+const { formatDuration } = require('./time')
+const { findQuarantineEntry } = require('./quarantine')
+const { getTerminalStatus } = require('./tasks')
 
 // Dashboard URL for test reports
 const DASHBOARD_BASE_URL = 'https://app.revyl.ai'
 
-/**
- * Calculate exponential backoff delay
- * @param {number} attempts - Number of reconnection attempts
- * @returns {number} Delay in milliseconds
- */
-function calculateBackoffDelay(attempts) {
-  // Exponential backoff: 1s, 2s, 4s, 8s, 16s, 30s (capped)
-  return Math.min(MAX_BACKOFF_MS, INITIAL_BACKOFF_MS * Math.pow(2, attempts))
-}
-
-/**
- * Safely parse JSON from SSE event data
- * @param {any} event - The SSE event
- * @param {string} eventType - The event type for logging
- * @returns {object|null} Parsed data or null if parsing fails
- */
-function safeParseEventData(event, eventType) {
-  try {
-    return JSON.parse(event.data)
-  } catch (error) {
-    core.error(`Failed to parse ${eventType} event data: ${error.message}`)
-    core.debug(`Malformed event data: ${event.data}`)
-    return null
-  }
-}
+// REST polling once the stream has given up on a running workflow
+const INITIAL_POLL_INTERVAL_MS = 2000 // 2 seconds
+const MAX_POLL_INTERVAL_MS = 30000 // 30 seconds
+const POLL_BACKOFF_FACTOR = 1.5
 
 /**
  * Fetch final workflow results from API (fallback when SSE fails)
@@ -70,10 +47,14 @@ async function fetchFinalWorkflowResults(taskId, backendBaseUrl, client) {
       return {
         status: task.status,
         success: task.success,
+        workflow_name: task.workflow_name,
         total_tests: task.total_tests || 0,
         completed_tests: task.completed_tests || 0,
         passed_tests,
         failed_tests,
+        started_at: task.started_at,
+        completed_at: task.completed_at,
+        duration: task.duration,
         tests: task.tests || []
       }
     }
@@ -84,12 +65,276 @@ async function fetchFinalWorkflowResults(taskId, backendBaseUrl, client) {
 }
 
 /**
- * Monitor a workflow task via SSE with automatic reconnection
+ * Set final workflow outputs
+ * @param {object|null} results - Results from fetchFinalWorkflowResults
+ * @param {string} status - Final status (completed, failed, cancelled)
+ * @param {boolean} success - Whether the workflow succeeded
+ */
+function setWorkflowOutputs(results, status, success) {
+  core.setOutput('success', success ? 'true' : 'false')
+  core.setOutput('status', status)
+  if (results) {
+    core.setOutput('total_tests', (results.total_tests || 0).toString())
+    core.setOutput('completed_tests', (results.completed_tests || 0).toString())
+    core.setOutput('passed_tests', (results.passed_tests || 0).toString())
+    core.setOutput('failed_tests', (results.failed_tests || 0).toString())
+  }
+}
+
+/**
+ * Log the workflow summary banner
+ * @param {boolean} success - Whether the workflow succeeded
+ * @param {string} workflowName - Display name of the workflow
+ * @param {string|null} totalTime - Elapsed seconds, or null if unknown
+ * @param {number} testsPassed - Number of passed tests
+ * @param {number} testsFailed - Number of failed tests
+ */
+function logWorkflowSummary(
+  success,
+  workflowName,
+  totalTime,
+  testsPassed,
+  testsFailed
+) {
+  core.info('')
+  core.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
+  if (totalTime === null) {
+    core.info(`${workflowName} ${success ? 'completed' : 'failed'}`)
+  } else if (success) {
+    core.info(`${workflowName} completed in ${totalTime}s`)
+  } else {
+    core.info(`${workflowName} failed after ${totalTime}s`)
+  }
+  core.info(`${testsPassed} passed, ${testsFailed} failed`)
+  core.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
+}
+
+/**
+ * Follow a workflow through the REST API until it finishes or the time runs
+ * out. Used when the stream gives up while the workflow is still running, so
+ * an outage of the stream alone is not mistaken for a timeout.
+ * @param {string} taskId - The task ID
+ * @param {string} workflowId - The workflow ID
+ * @param {string} backendBaseUrl - Backend base URL
+ * @param {object} client - HTTP client
+ * @param {number} timeoutSeconds - Time left to wait
+ * @returns {Promise<string|null>} Final status or null if timeout
+ */
+async function pollWorkflow(
+  taskId,
+  workflowId,
+  backendBaseUrl,
+  client,
+  timeoutSeconds
+) {
+  const deadline = Date.now() + timeoutSeconds * 1000
+  let interval = INITIAL_POLL_INTERVAL_MS
+  let lastCompleted = null
+
+  core.info(
+    `🔁 Polling workflow execution status (every ${INITIAL_POLL_INTERVAL_MS / 1000}s, backing off to ${MAX_POLL_INTERVAL_MS / 1000}s)`
+  )
+
+  while (Date.now() < deadline) {
+    const results = await fetchFinalWorkflowResults(
+      taskId,
+      backendBaseUrl,
+      client
+    )
+    const status = getTerminalStatus(results?.status)
+    if (status) {
+      if (status === 'cancelled') {
+        core.warning('⚠️ Workflow cancelled')
+      } else {
+        logWorkflowSummary(
+          status === 'completed',
+          results.workflow_name || workflowId,
+          null,
+          results.passed_tests,
+          results.failed_tests
+        )
+      }
+      setWorkflowOutputs(results, status, status === 'completed')
+      return status
+    }
+
+    if (results && results.completed_tests !== lastCompleted) {
+      lastCompleted = results.completed_tests
+      interval = INITIAL_POLL_INTERVAL_MS
+      core.info(
+        `   ${results.completed_tests}/${results.total_tests || '?'} tests finished`
+      )
+    } else {
+      interval = Math.min(MAX_POLL_INTERVAL_MS, interval * POLL_BACKOFF_FACTOR)
+    }
+    await new Promise(resolve =>
+      setTimeout(
+        resolve,
+        Math.min(interval, Math.max(0, deadline - Date.now()))
+      )
+    )
+  }
+
+  return null
+}
+
+/**
+ * Describe a child test status for the job summary
+ * @param {string|null} status - Child test status
+ * @returns {object} { label, kind } where kind is passed, failed, cancelled
+ *   or pending
+ */
+function describeTestStatus(status) {
+  const normalized = (status || '').toLowerCase()
+  if (['passed', 'success', 'completed'].includes(normalized))
+    return { label: '✅ Passed', kind: 'passed' }
+  if (['failed', 'error', 'timeout'].includes(normalized))
+    return { label: '❌ Failed', kind: 'failed' }
+  if (['cancelled', 'skipped'].includes(normalized))
+    return { label: '🚫 Cancelled', kind: 'cancelled' }
+  return { label: `⏳ ${status || 'Not started'}`, kind: 'pending' }
+}
+
+/**
+ * Result label of a child test: a flaky test, one that failed and then passed
+ * on a rerun, is not shown as a plain pass
+ * @param {object} test - Test from the results document
+ * @returns {string} Result label
+ */
+function describeTestResult(test) {
+  return test.flaky
+    ? `🔁 Flaky (passed on rerun ${test.reruns.length})`
+    : describeTestStatus(test.status).label
+}
+
+/**
+ * Write the workflow job summary: one row per child test, totals, the pass
+ * policy decision and the error and failure category of each failed test, and
+ * the original error of each flaky test
+ * @param {object} results - Results document from collectResults
+ * @param {object|null} policyResult - Pass policy decision from
+ *   evaluatePassPolicy, if a policy is set
+ * @returns {Promise<void>}
+ */
+async function writeWorkflowJobSummary(results, policyResult = null) {
+  const headings = {
+    completed: 'Workflow Execution Completed 🎉',
+    failed: 'Workflow Execution Failed ❌',
+    cancelled: 'Workflow Execution Cancelled 🚫',
+    timeout: 'Workflow Execution Timed Out ⏱️'
+  }
+
+  try {
+    const quarantined = new Set(
+      (policyResult?.quarantined || []).map(({ test }) => test)
+    )
+    const rows = results.tests.map(test => ({
+      test,
+      ...describeTestStatus(test.status)
+    }))
+    const countOf = kind => rows.filter(row => row.kind === kind).length
+    const totals = [
+      `${rows.length} tests`,
+      `${countOf('passed')} passed`,
+      `${countOf('failed')} failed`,
+      `${countOf('cancelled')} cancelled`
+    ]
+    if (countOf('pending')) totals.push(`${countOf('pending')} not finished`)
+    const flaky = rows.filter(row => row.test.flaky)
+    if (flaky.length > 0) totals.push(`${flaky.length} flaky`)
+
+    const summary = core.summary
+      .addHeading(headings[results.status] || headings.failed, 2)
+      .addRaw(
+        `
+**Workflow:** \`${results.name}\`
+**Task ID:** \`${results.task_id}\`
+**Duration:** ${results.execution_time || 'unknown'}
+**Totals:** ${totals.join(' · ')}
+`
+      )
+
+    if (rows.length > 0) {
+      summary.addTable([
+        [
+          { data: 'Test', header: true },
+          { data: 'Result', header: true },
+          { data: 'Duration', header: true },
+          { data: 'Report', header: true }
+        ],
+        ...rows.map(({ test }) => [
+          test.name,
+          quarantined.has(test) ? '⚠️ Quarantined' : describeTestResult(test),
+          formatDuration(test.duration) || '-',
+          test.report_link
+            ? `<a href="${test.report_link}">View report</a>`
+            : '-'
+        ])
+      ])
+    }
+
+    if (policyResult) {
+      summary
+        .addHeading(
+          `Pass Policy: ${policyResult.passed ? '✅ Step passed' : '❌ Step failed'}`,
+          3
+        )
+        .addList(policyResult.reasons)
+    }
+
+    const failed = rows.filter(row => row.kind === 'failed')
+    if (failed.length > 0) {
+      summary.addHeading('Failures', 3)
+      failed.forEach(({ test }) => {
+        summary.addRaw(
+          `
+**${test.name}**${test.failure_category ? ` · ${test.failure_category.replace('_', ' ')}` : ''}${test.report_link ? ` ([report](${test.report_link}))` : ''}
+
+\`\`\`
+${test.error || 'No error message reported'}
+\`\`\`
+`
+        )
+      })
+    }
+
+    // Flaky tests passed on a rerun; keep their original failure visible
+    if (flaky.length > 0) {
+      summary.addHeading('Flaky Tests', 3)
+      flaky.forEach(({ test }) => {
+        const passedRun = test.reruns[test.reruns.length - 1]
+        summary.addRaw(
+          `
+**${test.name}** failed with status \`${test.original_status}\`${test.report_link ? ` ([report](${test.report_link}))` : ''}, then passed on rerun ${passedRun.attempt}${passedRun.report_link ? ` ([report](${passedRun.report_link}))` : ''}
+
+\`\`\`
+${test.error || 'No error message reported'}
+\`\`\`
+`
+        )
+      })
+    }
+
+    await summary.write()
+  } catch (error) {
+    core.warning(`Failed to write workflow job summary: ${error.message}`)
+  }
+}
+
+/**
+ * Monitor a workflow task over the shared unified stream connection
  * @param {string} taskId - The task ID to monitor
  * @param {string} workflowId - The workflow ID
  * @param {string} backendBaseUrl - Backend base URL for SSE
  * @param {object} client - HTTP client for additional requests
  * @param {number} timeoutSeconds - Maximum time to wait
+ * @param {number} stallTimeoutSeconds - Reconnect and reconcile via REST when
+ *   the stream is silent this long (0 disables)
+ * @param {Function} onProgress - Called with { type, taskId, name, status }
+ *   when the workflow starts (workflow_started) and as child tests start
+ *   (test_started) and finish (test_finished)
+ * @param {Array<object>|null} quarantine - Entries from loadQuarantine;
+ *   failures of these child tests are reported as warnings
  * @returns {Promise<string|null>} Final status or null if timeout
  */
 async function monitorWorkflow(
@@ -97,16 +342,15 @@ async function monitorWorkflow(
   workflowId,
   backendBaseUrl,
   client,
-  timeoutSeconds
+  timeoutSeconds,
+  stallTimeoutSeconds = 0,
+  onProgress = () => {},
+  quarantine = null
 ) {
   return new Promise((resolve, reject) => {
-    // State tracking for reconnection
-    let reconnectAttempts = 0
-    let currentEventSource = null
-    let isIntentionallyClosed = false
     let finalStatus = null
     let workflowStarted = false
-    let reconnectTimeoutHandle = null
+    let stream = null
 
     // Track child tests for this workflow
     const activeTests = new Map() // task_id -> { name, startTime }
@@ -114,353 +358,306 @@ async function monitorWorkflow(
     let testsFailed = 0
     let workflowHeaderLogged = false // Prevent duplicate workflow header logging
 
-    const sseUrl = `${backendBaseUrl}/api/v1/monitor/stream/unified`
-    const timeoutMs = timeoutSeconds * 1000
     const startTime = Date.now()
 
     /**
-     * Clean up all resources
+     * Stop monitoring with a final status
      */
-    function cleanup() {
-      isIntentionallyClosed = true
-      if (currentEventSource) {
-        currentEventSource.close()
-        currentEventSource = null
-      }
-      if (reconnectTimeoutHandle) {
-        clearTimeout(reconnectTimeoutHandle)
-        reconnectTimeoutHandle = null
-      }
+    function finish(status) {
+      finalStatus = status
+      stream.close()
+      resolve(status)
     }
 
     /**
-     * Check if we've exceeded the overall timeout
+     * Log the workflow header once (initial_state and workflow_started can
+     * both announce it)
      */
-    function isTimedOut() {
-      return Date.now() - startTime >= timeoutMs
+    function logWorkflowHeader(workflow) {
+      if (workflowHeaderLogged) return
+      workflowHeaderLogged = true
+      const totalTests = workflow.task.total_tests || '?'
+      core.info(`🚀 ${workflow.workflow_name} (${totalTests} tests)`)
+      core.info('')
+      onProgress({
+        type: 'workflow_started',
+        taskId,
+        name: workflow.workflow_name
+      })
     }
 
     /**
-     * Get remaining time until timeout
+     * Helper to handle test completion (passed or failed)
      */
-    function getRemainingTime() {
-      return Math.max(0, timeoutMs - (Date.now() - startTime))
+    function handleTestCompletion(data, passed) {
+      const testTaskId = data.task_id
+      if (activeTests.has(testTaskId)) {
+        const testInfo = activeTests.get(testTaskId)
+        const duration = ((Date.now() - testInfo.startTime) / 1000).toFixed(0)
+
+        const entry = passed
+          ? null
+          : findQuarantineEntry(quarantine, {
+              test_id: testInfo.testId,
+              name: testInfo.name
+            })
+        if (passed) {
+          testsPassed++
+          core.info(`     ✅ passed (${duration}s)`)
+        } else if (entry) {
+          testsFailed++
+          // The warning annotation is added once the workflow finishes
+          core.info(
+            `     ⚠️ failed (${duration}s) - quarantined by ${entry.owner}: ${entry.reason}`
+          )
+        } else {
+          testsFailed++
+          core.info(`     ❌ failed (${duration}s)`)
+        }
+        core.info('')
+        onProgress({
+          type: 'test_finished',
+          taskId: testTaskId,
+          name: testInfo.name,
+          status: passed ? 'passed' : 'failed'
+        })
+
+        activeTests.delete(testTaskId)
+      }
     }
 
     /**
-     * Create and configure SSE connection
+     * Fetch the final results and set the count outputs once the workflow
+     * finished over the stream
      */
-    function createConnection() {
-      if (isIntentionallyClosed) {
-        return
-      }
-
-      if (isTimedOut()) {
-        core.warning('Workflow monitoring timed out')
-        cleanup()
-        resolve(null)
-        return
-      }
+    function setFinalCountOutputs(withErrorMessage) {
+      fetchFinalWorkflowResults(taskId, backendBaseUrl, client)
+        .then(results => {
+          if (!results) return
+          core.setOutput('total_tests', (results.total_tests || 0).toString())
+          core.setOutput(
+            'completed_tests',
+            (results.completed_tests || 0).toString()
+          )
+          core.setOutput('passed_tests', (results.passed_tests || 0).toString())
+          core.setOutput('failed_tests', (results.failed_tests || 0).toString())
+
+          // Check for failed tests
+          if (withErrorMessage && Array.isArray(results.tests)) {
+            const failedTests = results.tests.filter(
+              t => t.status === 'failed' || t.status === 'error'
+            )
+            if (failedTests.length > 0 && failedTests[0].error) {
+              core.setOutput('error_message', failedTests[0].error)
+            }
+          }
+        })
+        .catch(err =>
+          core.warning(`Could not fetch final results: ${err.message}`)
+        )
+    }
 
-      const attemptInfo = reconnectAttempts > 0
-        ? ` (reconnection attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`
-        : ''
-      core.debug(`Connecting to SSE stream${attemptInfo}...`)
+    /**
+     * Finish from the REST workflow task if it is no longer running (the
+     * completion event was missed while disconnected or stalled)
+     */
+    function reconcileFromRest() {
+      fetchFinalWorkflowResults(taskId, backendBaseUrl, client)
+        .then(results => {
+          if (!results || !results.status || finalStatus !== null) return
+          const status = results.status.toLowerCase()
+          const totalTime = ((Date.now() - startTime) / 1000).toFixed(0)
 
-      const eventSource = new EventSource(sseUrl, {
-        headers: { Authorization: `Bearer ${process.env['REVYL_API_KEY']}` }
-      })
-      currentEventSource = eventSource
-
-      // Set a timeout for this connection attempt
-      const connectionTimeout = setTimeout(() => {
-        if (finalStatus === null && !isIntentionallyClosed) {
-          core.warning('Workflow monitoring timed out')
-          cleanup()
-          resolve(null)
-        }
-      }, getRemainingTime())
+          if (['completed', 'success'].includes(status)) {
+            logWorkflowSummary(
+              true,
+              results.workflow_name || workflowId,
+              totalTime,
+              testsPassed,
+              testsFailed
+            )
+            setWorkflowOutputs(results, 'completed', results.success !== false)
+            finish('completed')
+          } else if (['failed', 'error', 'timeout'].includes(status)) {
+            logWorkflowSummary(
+              false,
+              results.workflow_name || workflowId,
+              totalTime,
+              testsPassed,
+              testsFailed
+            )
+            setWorkflowOutputs(results, 'failed', false)
+            finish('failed')
+          } else if (status === 'cancelled') {
+            core.warning('⚠️ Workflow cancelled')
+            setWorkflowOutputs(results, 'cancelled', false)
+            finish('cancelled')
+          }
+        })
+        .catch(err => {
+          core.warning(`Could not reconcile workflow status: ${err.message}`)
+        })
+    }
 
-      eventSource.onopen = () => {
+    stream = connectUnifiedStream(backendBaseUrl, {
+      taskId,
+      timeoutSeconds,
+      staleSeconds: stallTimeoutSeconds,
+      onStall: () => {
+        // A stalled stream may have swallowed the completion event
+        core.info('Checking workflow status after stall...')
+        reconcileFromRest()
+      },
+      onTimeout: () => {
+        if (finalStatus !== null) return
+        core.warning('Workflow monitoring timed out')
+        resolve(null)
+      },
+      onOpen: () => {
         core.info('')
         core.info('🔗 SSE connection established')
-        // Reset reconnection attempts on successful connection
-        reconnectAttempts = 0
-      }
-
-      eventSource.onerror = error => {
-        // Don't reconnect if we're done or intentionally closed
-        if (isIntentionallyClosed || finalStatus !== null) {
-          return
-        }
-
-        // Build error message
-        let errorMsg = 'SSE connection error'
-        if (error) {
-          if (error.message) errorMsg += `: ${error.message}`
-          else if (error.status) errorMsg += ` (HTTP ${error.status})`
-        }
-
-        core.warning(errorMsg)
-
-        // Close current connection
-        eventSource.close()
-        currentEventSource = null
-
-        // Check if we should attempt reconnection
-        reconnectAttempts++
-
-        if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
-          core.error(`Max reconnection attempts (${MAX_RECONNECT_ATTEMPTS}) reached`)
-          clearTimeout(connectionTimeout)
-          cleanup()
-
-          // Try to fetch final status as fallback
-          core.info('Attempting to fetch final status via REST API...')
-          fetchFinalWorkflowResults(taskId, backendBaseUrl, client)
-            .then(results => {
-              if (results && results.status) {
-                const status = results.status.toLowerCase()
-                if (['completed', 'success'].includes(status)) {
-                  setFinalOutputs(results, 'completed', true)
-                  resolve('completed')
-                } else if (['failed', 'error', 'timeout'].includes(status)) {
-                  setFinalOutputs(results, 'failed', false)
-                  resolve('failed')
-                } else if (status === 'cancelled') {
-                  setFinalOutputs(results, 'cancelled', false)
-                  resolve('cancelled')
-                } else {
-                  // Still running or unknown - report as timeout
-                  resolve(null)
-                }
-              } else {
-                reject(new Error('SSE connection failed and could not fetch final status'))
+      },
+      onGiveUp: error => {
+        if (finalStatus !== null) return
+
+        // Try to fetch final status as fallback
+        core.info('Attempting to fetch final status via REST API...')
+        fetchFinalWorkflowResults(taskId, backendBaseUrl, client)
+          .then(results => {
+            if (results && results.status) {
+              const status = getTerminalStatus(results.status)
+              if (status) {
+                setWorkflowOutputs(results, status, status === 'completed')
+                resolve(status)
+                return
               }
-            })
-            .catch(err => {
-              reject(new Error(`SSE connection failed: ${err.message}`))
-            })
-          return
-        }
-
-        // Check if we still have time for reconnection
-        if (isTimedOut()) {
-          core.warning('No time remaining for reconnection')
-          clearTimeout(connectionTimeout)
-          cleanup()
-          resolve(null)
-          return
-        }
-
-        const delay = calculateBackoffDelay(reconnectAttempts - 1)
-        core.info(`⏳ Reconnecting in ${delay / 1000}s (attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`)
-
-        reconnectTimeoutHandle = setTimeout(() => {
-          createConnection()
-        }, delay)
-      }
-
-      eventSource.addEventListener('connection_ready', () => {
-        // Silent - no need to log
-      })
-
-      eventSource.addEventListener('initial_state', event => {
-        const data = safeParseEventData(event, 'initial_state')
-        if (!data) return
-
-        const runningWorkflows = data.running_workflows || []
-
-        // Find our workflow in the array
-        const ourWorkflow = runningWorkflows.find(
-          wf => wf.task && wf.task.task_id === taskId
-        )
-
-        if (ourWorkflow) {
-          workflowStarted = true
-
-          // Only log workflow header once
-          if (!workflowHeaderLogged) {
-            workflowHeaderLogged = true
-            const totalTests = ourWorkflow.task.total_tests || '?'
-            core.info(`🚀 ${ourWorkflow.workflow_name} (${totalTests} tests)`)
-            core.info('')
+              // Still running - only the stream is down, so keep following
+              // the workflow over REST for the time that is left
+              const remainingSeconds = Math.max(
+                0,
+                timeoutSeconds - (Date.now() - startTime) / 1000
+              )
+              core.warning(
+                `${error.message} - workflow still running, falling back to REST polling`
+              )
+              resolve(
+                pollWorkflow(
+                  taskId,
+                  workflowId,
+                  backendBaseUrl,
+                  client,
+                  remainingSeconds
+                )
+              )
+            } else {
+              reject(
+                new Error(
+                  'SSE connection failed and could not fetch final status'
+                )
+              )
+            }
+          })
+          .catch(err => {
+            reject(new Error(`SSE connection failed: ${err.message}`))
+          })
+      },
+      onServerError: reject,
+      handlers: {
+        initial_state: data => {
+          const runningWorkflows = data.running_workflows || []
+
+          // Find our workflow in the array
+          const ourWorkflow = runningWorkflows.find(
+            wf => wf.task && wf.task.task_id === taskId
+          )
+
+          if (ourWorkflow) {
+            workflowStarted = true
+            logWorkflowHeader(ourWorkflow)
+
+            // Set initial outputs
+            core.setOutput('status', ourWorkflow.task.status)
+            core.setOutput(
+              'total_tests',
+              (ourWorkflow.task.total_tests || 0).toString()
+            )
+            core.setOutput(
+              'completed_tests',
+              (ourWorkflow.task.completed_tests || 0).toString()
+            )
+          } else if (workflowStarted) {
+            // Workflow was previously seen but is no longer in running list
+            core.info(
+              'Workflow no longer in running list - checking final status...'
+            )
+
+            reconcileFromRest()
           }
-
-          // Set initial outputs
-          core.setOutput('status', ourWorkflow.task.status)
-          core.setOutput('total_tests', (ourWorkflow.task.total_tests || 0).toString())
-          core.setOutput('completed_tests', (ourWorkflow.task.completed_tests || 0).toString())
-        } else if (workflowStarted) {
-          // Workflow was previously seen but is no longer in running list
-          core.info('Workflow no longer in running list - checking final status...')
-
-          fetchFinalWorkflowResults(taskId, backendBaseUrl, client)
-            .then(results => {
-              if (results && results.status && finalStatus === null) {
-                const status = results.status.toLowerCase()
-                const totalTime = ((Date.now() - startTime) / 1000).toFixed(0)
-
-                if (['completed', 'success'].includes(status)) {
-                  logWorkflowSummary(true, results.workflow_name || workflowId, totalTime)
-                  setFinalOutputs(results, 'completed', results.success !== false)
-                  finalStatus = 'completed'
-                  clearTimeout(connectionTimeout)
-                  cleanup()
-                  resolve('completed')
-                } else if (['failed', 'error', 'timeout'].includes(status)) {
-                  logWorkflowSummary(false, results.workflow_name || workflowId, totalTime)
-                  setFinalOutputs(results, 'failed', false)
-                  finalStatus = 'failed'
-                  clearTimeout(connectionTimeout)
-                  cleanup()
-                  resolve('failed')
-                } else if (status === 'cancelled') {
-                  core.warning('⚠️ Workflow cancelled')
-                  setFinalOutputs(results, 'cancelled', false)
-                  finalStatus = 'cancelled'
-                  clearTimeout(connectionTimeout)
-                  cleanup()
-                  resolve('cancelled')
-                }
-              }
-            })
-            .catch(err => {
-              core.warning(`Could not fetch status after reconnection: ${err.message}`)
-            })
-        }
-      })
-
-      eventSource.addEventListener('workflow_started', event => {
-        const data = safeParseEventData(event, 'workflow_started')
-        if (!data) return
-
-        if (
-          data.workflow &&
-          data.workflow.task &&
-          data.workflow.task.task_id === taskId
-        ) {
-          const wf = data.workflow
-          workflowStarted = true
-
-          // Only log workflow header once
-          if (!workflowHeaderLogged) {
-            workflowHeaderLogged = true
-            const totalTests = wf.task.total_tests || '?'
-            core.info(`🚀 ${wf.workflow_name} (${totalTests} tests)`)
-            core.info('')
+        },
+
+        workflow_started: data => {
+          if (
+            data.workflow &&
+            data.workflow.task &&
+            data.workflow.task.task_id === taskId
+          ) {
+            workflowStarted = true
+            logWorkflowHeader(data.workflow)
+            core.setOutput('status', data.workflow.task.status)
           }
+        },
 
-          core.setOutput('status', wf.task.status)
-        }
-      })
-
-      eventSource.addEventListener('workflow_updated', event => {
-        // Skip workflow updates - individual test progress is shown instead
-      })
-
-      eventSource.addEventListener('workflow_completed', event => {
-        const data = safeParseEventData(event, 'workflow_completed')
-        if (!data) return
-
-        if (data.task_id === taskId) {
-          finalStatus = 'completed'
+        workflow_completed: data => {
+          if (data.task_id !== taskId || finalStatus !== null) return
           const totalTime = ((Date.now() - startTime) / 1000).toFixed(0)
 
-          logWorkflowSummary(true, data.workflow_name || workflowId, totalTime)
+          logWorkflowSummary(
+            true,
+            data.workflow_name || workflowId,
+            totalTime,
+            testsPassed,
+            testsFailed
+          )
 
           // Set final success outputs
           core.setOutput('success', 'true')
           core.setOutput('status', 'completed')
+          setFinalCountOutputs(false)
+          finish('completed')
+        },
 
-          // Fetch final results from the API
-          fetchFinalWorkflowResults(taskId, backendBaseUrl, client)
-            .then(results => {
-              if (results) {
-                core.setOutput('total_tests', (results.total_tests || 0).toString())
-                core.setOutput('completed_tests', (results.completed_tests || 0).toString())
-                core.setOutput('passed_tests', (results.passed_tests || 0).toString())
-                core.setOutput('failed_tests', (results.failed_tests || 0).toString())
-              }
-            })
-            .catch(err => core.warning(`Could not fetch final results: ${err.message}`))
-
-          clearTimeout(connectionTimeout)
-          cleanup()
-          resolve(finalStatus)
-        }
-      })
-
-      eventSource.addEventListener('workflow_failed', event => {
-        const data = safeParseEventData(event, 'workflow_failed')
-        if (!data) return
-
-        if (data.task_id === taskId) {
-          finalStatus = 'failed'
+        workflow_failed: data => {
+          if (data.task_id !== taskId || finalStatus !== null) return
           const totalTime = ((Date.now() - startTime) / 1000).toFixed(0)
 
-          logWorkflowSummary(false, data.workflow_name || workflowId, totalTime)
+          logWorkflowSummary(
+            false,
+            data.workflow_name || workflowId,
+            totalTime,
+            testsPassed,
+            testsFailed
+          )
 
           // Set failure outputs
           core.setOutput('success', 'false')
           core.setOutput('status', 'failed')
+          setFinalCountOutputs(true)
+          finish('failed')
+        },
 
-          // Fetch final results from the API
-          fetchFinalWorkflowResults(taskId, backendBaseUrl, client)
-            .then(results => {
-              if (results) {
-                core.setOutput('total_tests', (results.total_tests || 0).toString())
-                core.setOutput('completed_tests', (results.completed_tests || 0).toString())
-                core.setOutput('passed_tests', (results.passed_tests || 0).toString())
-                core.setOutput('failed_tests', (results.failed_tests || 0).toString())
-
-                // Check for failed tests
-                if (results.tests && Array.isArray(results.tests)) {
-                  const failedTests = results.tests.filter(
-                    t => t.status === 'failed' || t.status === 'error'
-                  )
-                  if (failedTests.length > 0 && failedTests[0].error) {
-                    core.setOutput('error_message', failedTests[0].error)
-                  }
-                }
-              }
-            })
-            .catch(err => core.warning(`Could not fetch final results: ${err.message}`))
-
-          clearTimeout(connectionTimeout)
-          cleanup()
-          resolve(finalStatus)
-        }
-      })
-
-      eventSource.addEventListener('workflow_cancelled', event => {
-        const data = safeParseEventData(event, 'workflow_cancelled')
-        if (!data) return
-
-        if (data.task_id === taskId) {
+        workflow_cancelled: data => {
+          if (data.task_id !== taskId || finalStatus !== null) return
           core.warning(`⚠️ Workflow cancelled`)
-
-          finalStatus = 'cancelled'
           core.setOutput('success', 'false')
           core.setOutput('status', 'cancelled')
-
-          clearTimeout(connectionTimeout)
-          cleanup()
-          resolve(finalStatus)
-        }
-      })
-
-      eventSource.addEventListener('heartbeat', () => {
-        // Keep-alive signal - connection is healthy
-      })
-
-      // === TEST EVENTS ===
-      eventSource.addEventListener('test_started', event => {
-        const data = safeParseEventData(event, 'test_started')
-        if (!data) return
-
-        const test = data.test
-        if (test && test.parent_workflow_task_id === taskId) {
+          finish('cancelled')
+        },
+
+        // Workflow and step updates are skipped - individual test progress
+        // is shown instead and the live report has the details
+        test_started: data => {
+          const test = data.test
+          if (!test || test.parent_workflow_task_id !== taskId) return
           const testTaskId = test.task_id
 
           // Only log test info once (prevent duplicates from reconnection)
@@ -468,118 +665,52 @@ async function monitorWorkflow(
             const testName = test.test_name || 'Unknown Test'
             const reportUrl = `${DASHBOARD_BASE_URL}/tests/report?taskId=${testTaskId}`
 
-            activeTests.set(testTaskId, { name: testName, startTime: Date.now() })
+            activeTests.set(testTaskId, {
+              name: testName,
+              testId: test.test_id,
+              startTime: Date.now()
+            })
 
             core.info(`  🧪 ${testName}`)
             core.info(`     📋 Report: ${reportUrl}`)
+            onProgress({
+              type: 'test_started',
+              taskId: testTaskId,
+              name: testName
+            })
           }
-        }
-      })
-
-      eventSource.addEventListener('test_updated', () => {
-        // Skip step updates - user can watch live report
-      })
-
-      eventSource.addEventListener('test_completed', event => {
-        handleTestCompletion(event, 'test_completed', true)
-      })
-
-      eventSource.addEventListener('test_completed_with_data', event => {
-        handleTestCompletion(event, 'test_completed_with_data', true)
-      })
+        },
 
-      eventSource.addEventListener('test_failed', event => {
-        handleTestCompletion(event, 'test_failed', false)
-      })
-
-      eventSource.addEventListener('test_failed_with_data', event => {
-        handleTestCompletion(event, 'test_failed_with_data', false)
-      })
+        test_completed: data => handleTestCompletion(data, true),
+        test_completed_with_data: data => handleTestCompletion(data, true),
+        test_failed: data => handleTestCompletion(data, false),
+        test_failed_with_data: data => handleTestCompletion(data, false),
 
-      eventSource.addEventListener('test_cancelled_with_data', event => {
-        const data = safeParseEventData(event, 'test_cancelled_with_data')
-        if (!data) return
-
-        const testTaskId = data.task_id
-        if (activeTests.has(testTaskId)) {
-          core.warning(`     ⚠️ cancelled`)
-          core.info('')
-          activeTests.delete(testTaskId)
-        }
-      })
-
-      /**
-       * Helper to handle test completion (passed or failed)
-       */
-      function handleTestCompletion(event, eventType, passed) {
-        const data = safeParseEventData(event, eventType)
-        if (!data) return
-
-        const testTaskId = data.task_id
-        if (activeTests.has(testTaskId)) {
-          const testInfo = activeTests.get(testTaskId)
-          const duration = ((Date.now() - testInfo.startTime) / 1000).toFixed(0)
-
-          if (passed) {
-            testsPassed++
-            core.info(`     ✅ passed (${duration}s)`)
-          } else {
-            testsFailed++
-            core.info(`     ❌ failed (${duration}s)`)
+        test_cancelled_with_data: data => {
+          const testTaskId = data.task_id
+          if (activeTests.has(testTaskId)) {
+            core.warning(`     ⚠️ cancelled`)
+            core.info('')
+            onProgress({
+              type: 'test_finished',
+              taskId: testTaskId,
+              name: activeTests.get(testTaskId).name,
+              status: 'cancelled'
+            })
+            activeTests.delete(testTaskId)
           }
-          core.info('')
-
-          activeTests.delete(testTaskId)
-        }
-      }
-
-      /**
-       * Log the workflow summary
-       */
-      function logWorkflowSummary(success, workflowName, totalTime) {
-        core.info('')
-        core.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
-        if (success) {
-          core.info(`${workflowName} completed in ${totalTime}s`)
-        } else {
-          core.info(`${workflowName} failed after ${totalTime}s`)
         }
-        core.info(`${testsPassed} passed, ${testsFailed} failed`)
-        core.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
       }
-
-      eventSource.addEventListener('error', event => {
-        const data = safeParseEventData(event, 'error')
-        if (data) {
-          const errorMessage = data.error || data.message || 'Unknown SSE error'
-          core.error(`SSE error event: ${errorMessage}`)
-
-          // For explicit error events, don't reconnect - these are usually auth errors
-          clearTimeout(connectionTimeout)
-          cleanup()
-          reject(new Error(`SSE error: ${errorMessage}`))
-        }
-        // Non-JSON error events are handled by onerror
-      })
-    }
-
-    /**
-     * Helper to set final outputs
-     */
-    function setFinalOutputs(results, status, success) {
-      core.setOutput('success', success ? 'true' : 'false')
-      core.setOutput('status', status)
-      if (results) {
-        core.setOutput('total_tests', (results.total_tests || 0).toString())
-        core.setOutput('completed_tests', (results.completed_tests || 0).toString())
-        core.setOutput('passed_tests', (results.passed_tests || 0).toString())
-        core.setOutput('failed_tests', (results.failed_tests || 0).toString())
-      }
-    }
-
-    // Start the initial connection
-    createConnection()
+    })
   })
 }
 
-module.exports = { monitorWorkflow }
+module.exports = {
+  monitorWorkflow,
+  fetchFinalWorkflowResults,
+  setWorkflowOutputs,
+  logWorkflowSummary,
+  writeWorkflowJobSummary,
+  describeTestStatus,
+  describeTestResult
+}
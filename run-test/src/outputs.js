@@ -1,5 +1,6 @@
 const core = require('@actions/core')
 const { formatDuration } = require('./time')
+const { describeDevice } = require('./device')
 
 /**
  * Set GitHub Actions outputs from completed test data
@@ -20,6 +21,12 @@ function setOutputsFromCompletedTest(completedTestData, testId, workflowId) {
       core.setOutput('platform', enhancedTask.platform)
     }
 
+    const device = describeDevice(enhancedTask)
+    if (device) {
+      core.info(`📱 Device: ${device}`)
+      core.setOutput('device', device)
+    }
+
     if (testId) {
       if (enhancedTask.total_steps) {
         core.setOutput('total_steps', enhancedTask.total_steps.toString())
@@ -0,0 +1,161 @@
+const core = require('@actions/core')
+const { describeTestStatus } = require('./monitorWorkflow')
+const { findQuarantineEntry } = require('./quarantine')
+
+/**
+ * Parse a comma or newline separated list. Spaces are kept, as test names
+ * may contain them.
+ * @param {string} value - Raw input value
+ * @returns {Array<string>} Entries in input order
+ */
+function parseNameList(value) {
+  return (value || '')
+    .split(/[\n,]+/)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Read the pass policy inputs for workflows
+ * @returns {object|null} { minPassRate, maxFailures, allowedFailures } or
+ *   null when no policy input is set
+ */
+function getPassPolicy() {
+  const rawPassRate = core.getInput('min-pass-rate', { required: false }) || ''
+  const rawMaxFailures =
+    core.getInput('max-failures', { required: false }) || ''
+  const allowedFailures = parseNameList(
+    core.getInput('allowed-failures', { required: false })
+  )
+  if (!rawPassRate.trim() && !rawMaxFailures.trim() && !allowedFailures.length)
+    return null
+
+  let minPassRate = null
+  if (rawPassRate.trim()) {
+    minPassRate = Number(rawPassRate.trim().replace(/%$/, ''))
+    if (Number.isNaN(minPassRate) || minPassRate < 0 || minPassRate > 100) {
+      throw Error(
+        `Invalid min-pass-rate '${rawPassRate}' (expected a percentage between 0 and 100)`
+      )
+    }
+  }
+
+  let maxFailures = null
+  if (rawMaxFailures.trim()) {
+    maxFailures = Number(rawMaxFailures.trim())
+    if (!Number.isInteger(maxFailures) || maxFailures < 0) {
+      throw Error(
+        `Invalid max-failures '${rawMaxFailures}' (expected a non-negative whole number)`
+      )
+    }
+  }
+
+  return { minPassRate, maxFailures, allowedFailures }
+}
+
+// Policy when only a quarantine file is given
+const NO_POLICY = { minPassRate: null, maxFailures: null, allowedFailures: [] }
+
+/**
+ * Decide whether a finished workflow passes the policy. Allowed and
+ * quarantined failures are left out of the failure count and the pass rate.
+ * Without min-pass-rate or max-failures, every failure must be an allowed or
+ * quarantined one.
+ * @param {object} results - Results document from collectResults
+ * @param {object|null} policy - Policy from getPassPolicy
+ * @param {Array<object>|null} quarantine - Entries from loadQuarantine
+ * @returns {object} { passed, passRate, failures, allowed, quarantined,
+ *   reasons } where quarantined holds { test, entry } and reasons explain the
+ *   decision, one sentence each
+ */
+function evaluatePassPolicy(results, policy, quarantine = null) {
+  const { minPassRate, maxFailures, allowedFailures } = policy || NO_POLICY
+  const rows = results.tests.map(test => ({
+    test,
+    kind: describeTestStatus(test.status).kind,
+    entry: findQuarantineEntry(quarantine, test)
+  }))
+  const isAllowed = test =>
+    allowedFailures.some(entry => entry === test.test_id || entry === test.name)
+  const notPassed = rows.filter(row => row.kind !== 'passed')
+  const allowed = notPassed.filter(row => isAllowed(row.test))
+  const quarantined = notPassed.filter(row => !isAllowed(row.test) && row.entry)
+  const failures = notPassed.filter(row => !isAllowed(row.test) && !row.entry)
+  const counted = rows.length - allowed.length - quarantined.length
+  const passRate =
+    counted > 0 ? ((counted - failures.length) / counted) * 100 : 100
+  const formattedRate = `${Math.round(passRate * 10) / 10}%`
+  const namesOf = list => list.map(row => row.test.name).join(', ')
+  const decision = (passed, reasons) => ({
+    passed,
+    passRate,
+    failures: failures.map(row => row.test),
+    allowed: allowed.map(row => row.test),
+    quarantined: quarantined.map(({ test, entry }) => ({ test, entry })),
+    reasons
+  })
+
+  if (!['completed', 'failed'].includes(results.status)) {
+    return decision(false, [
+      `The workflow finished with status ${results.status} - the pass policy only applies to workflows that ran to completion`
+    ])
+  }
+  if (notPassed.length === 0 && results.status === 'failed') {
+    // Nothing to waive - the workflow itself failed
+    return decision(false, [
+      rows.length === 0
+        ? 'The workflow failed without reporting any test results'
+        : 'The workflow failed although none of its tests did'
+    ])
+  }
+
+  let passed = true
+  const reasons = []
+  if (allowed.length > 0) {
+    reasons.push(
+      `${allowed.length} allowed failure(s) ignored: ${namesOf(allowed)}`
+    )
+  }
+  if (quarantined.length > 0) {
+    reasons.push(
+      `${quarantined.length} quarantined failure(s) reported as warnings: ${namesOf(quarantined)}`
+    )
+  }
+  if (minPassRate !== null) {
+    const ok = passRate >= minPassRate
+    passed = passed && ok
+    reasons.push(
+      `Pass rate ${formattedRate} ${ok ? 'meets' : 'is below'} min-pass-rate ${minPassRate}%`
+    )
+  }
+  if (maxFailures !== null) {
+    const ok = failures.length <= maxFailures
+    passed = passed && ok
+    reasons.push(
+      `${failures.length} failure(s) ${ok ? 'within' : 'exceed'} max-failures ${maxFailures}`
+    )
+  }
+  if (minPassRate === null && maxFailures === null) {
+    const exempt = quarantine
+      ? 'quarantined or in allowed-failures'
+      : 'in allowed-failures'
+    passed = failures.length === 0
+    if (!passed) {
+      reasons.push(
+        `${failures.length} failure(s) not ${exempt}: ${namesOf(failures)}`
+      )
+    } else if (allowed.length > 0 || quarantined.length > 0) {
+      reasons.push(
+        quarantine
+          ? 'Every failure is quarantined or listed in allowed-failures'
+          : 'Every failure is listed in allowed-failures'
+      )
+    } else {
+      reasons.push('No tests failed')
+    }
+  }
+
+  return decision(passed, reasons)
+}
+
+module.exports = { getPassPolicy, evaluatePassPolicy }
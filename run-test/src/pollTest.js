@@ -0,0 +1,110 @@
+const core = require('@actions/core')
+const { logProgress } = require('./progress')
+const { reportTestTask } = require('./monitorTest')
+const { fetchTestTask, getTerminalStatus } = require('./tasks')
+
+// Polling configuration
+const INITIAL_POLL_INTERVAL_MS = 2000 // 2 seconds
+const MAX_POLL_INTERVAL_MS = 30000 // 30 seconds
+const POLL_BACKOFF_FACTOR = 1.5
+
+// Failed status requests in a row before warning, and before giving up. With
+// the backoff, giving up takes about three minutes rather than the whole
+// timeout.
+const WARN_AFTER_FAILED_POLLS = 3
+const MAX_FAILED_POLLS = 10
+
+/**
+ * Sleep for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Monitor a single test task by polling the enhanced test execution endpoint.
+ * Used when SSE is unavailable (e.g. proxies that drop long-lived streams).
+ * The interval backs off while nothing changes and resets on progress.
+ * @param {string} taskId - The task ID to monitor
+ * @param {string} testId - The test ID
+ * @param {string} backendBaseUrl - Backend base URL for status and report API
+ * @param {object} client - HTTP client for status requests
+ * @param {number} timeoutSeconds - Maximum time to wait
+ * @returns {Promise<string|null>} Final status or null if timeout
+ */
+async function pollTest(
+  taskId,
+  testId,
+  backendBaseUrl,
+  client,
+  timeoutSeconds
+) {
+  const deadline = Date.now() + timeoutSeconds * 1000
+  let interval = INITIAL_POLL_INTERVAL_MS
+  let lastSnapshot = null
+  let failedPolls = 0
+
+  core.info(
+    `🔁 Polling test execution status (every ${INITIAL_POLL_INTERVAL_MS / 1000}s, backing off to ${MAX_POLL_INTERVAL_MS / 1000}s)`
+  )
+
+  while (Date.now() < deadline) {
+    let task = null
+    try {
+      task = await fetchTestTask(taskId, backendBaseUrl, client)
+      failedPolls = 0
+    } catch (error) {
+      failedPolls++
+      if (failedPolls >= MAX_FAILED_POLLS) {
+        throw Object.assign(
+          Error(
+            `Revyl status API unavailable after ${failedPolls} failed requests: ${error.message}`
+          ),
+          { statusCode: error.statusCode }
+        )
+      }
+      if (failedPolls >= WARN_AFTER_FAILED_POLLS) {
+        core.warning(
+          `⚠️ Status request failed ${failedPolls} times in a row: ${error.message}`
+        )
+      } else {
+        core.debug(`Task lookup failed for ${taskId}: ${error.message}`)
+      }
+    }
+
+    if (task && task.status) {
+      const finalStatus = getTerminalStatus(task.status)
+      if (finalStatus) {
+        return reportTestTask(task, finalStatus, testId, backendBaseUrl)
+      }
+
+      const snapshot = [
+        task.status,
+        task.phase,
+        task.current_step_index,
+        task.progress
+      ].join('|')
+      if (snapshot !== lastSnapshot) {
+        lastSnapshot = snapshot
+        interval = INITIAL_POLL_INTERVAL_MS
+        logProgress(task, testId, null)
+      } else {
+        interval = Math.min(
+          MAX_POLL_INTERVAL_MS,
+          interval * POLL_BACKOFF_FACTOR
+        )
+      }
+    } else {
+      core.debug(`Status for task ${taskId} unavailable - backing off`)
+      interval = Math.min(MAX_POLL_INTERVAL_MS, interval * 2)
+    }
+
+    await sleep(Math.min(interval, Math.max(0, deadline - Date.now())))
+  }
+
+  return null
+}
+
+module.exports = { pollTest }
@@ -0,0 +1,76 @@
+const core = require('@actions/core')
+const { cancelAndConfirm } = require('./cancel')
+const { createClient, getBaseUrls } = require('./client')
+
+/**
+ * Whether this invocation is the post step (state is only set once the main
+ * step has run)
+ * @returns {boolean} True when running as the post step
+ */
+function isPostStep() {
+  return core.getState('isPost') === 'true'
+}
+
+/**
+ * The post step for the action. Cancels the remote Revyl task (or the tasks
+ * of a batch run) if the main step exited (job cancelled, runner timeout, crash) before it finished.
+ * @returns {Promise<void>} Resolves when the post step is complete.
+ */
+async function runPost() {
+  try {
+    const taskId = core.getState('task_id')
+    // Batch runs and reruns of failed workflow tests save the tasks that are
+    // still running
+    const batchTasks = JSON.parse(core.getState('batch_tasks') || '[]')
+    if (!taskId && batchTasks.length === 0) {
+      core.debug('No task was queued - nothing to clean up')
+      return
+    }
+
+    const tasks = [
+      ...(taskId && core.getState('task_done') !== 'true'
+        ? [{ taskId, isWorkflow: core.getState('task_kind') === 'workflow' }]
+        : []),
+      ...batchTasks
+    ]
+    if (tasks.length === 0) {
+      core.debug(
+        `Task ${taskId || 'batch'} already finished - nothing to clean up`
+      )
+      return
+    }
+    const { deviceBaseUrl, backendBaseUrl } = getBaseUrls()
+    const client = createClient()
+
+    const kind =
+      tasks.length > 1
+        ? `${tasks.length} orphaned Executions`
+        : `orphaned ${tasks[0].isWorkflow ? 'Workflow' : 'Test'} Execution`
+    core.startGroup(`🛑 Cancelling ${kind}`)
+    // Cancel in parallel so several confirmations don't add up
+    await Promise.all(
+      tasks.map(async task => {
+        core.info(`🆔 Task ID: ${task.taskId}`)
+        const { requested, confirmed } = await cancelAndConfirm(
+          task.taskId,
+          task.isWorkflow,
+          deviceBaseUrl,
+          backendBaseUrl,
+          client
+        )
+        core.info(
+          `Cancel requested: ${requested ? 'yes' : 'no'} | Confirmed via SSE: ${confirmed ? 'yes' : 'no'}`
+        )
+      })
+    )
+    core.endGroup()
+  } catch (error) {
+    // Never fail the job from cleanup
+    core.warning(`Failed to cancel Revyl task: ${error.message}`)
+  }
+}
+
+module.exports = {
+  isPostStep,
+  runPost
+}
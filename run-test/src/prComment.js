@@ -0,0 +1,192 @@
+const core = require('@actions/core')
+const { generateShareableReportLink } = require('./report')
+const { describeTestStatus, describeTestResult } = require('./monitorWorkflow')
+const { formatDuration } = require('./time')
+const {
+  getPullRequestNumber,
+  getRepoApiUrl,
+  getRunUrl,
+  createGitHubClient
+} = require('./github')
+
+// Comments are paged by the GitHub API; 100 is the maximum page size
+const COMMENTS_PER_PAGE = 100
+
+/**
+ * Hidden marker used to find our own comment again; one comment per test or
+ * workflow so several runs on the same PR don't overwrite each other
+ * @param {string} targetId - Test or workflow ID
+ * @returns {string} HTML comment marker
+ */
+function getCommentMarker(targetId) {
+  return `<!-- revyl-run-test:${targetId} -->`
+}
+
+/**
+ * Resolve shareable report links for every test, falling back to the
+ * dashboard link when the backend can't generate one
+ * @param {object} results - Results document from collectResults
+ * @param {string} backendBaseUrl - Backend base URL for the report API
+ * @returns {Promise<Array<string|null>>} One link per test
+ */
+async function getShareableLinks(results, backendBaseUrl) {
+  return Promise.all(
+    results.tests.map(async test => {
+      if (!test.history_id) return test.report_link
+      const link = await generateShareableReportLink(
+        {
+          test_uid: test.test_id,
+          enhanced_task: {
+            test_id: test.test_id,
+            test_history_id: test.history_id
+          }
+        },
+        backendBaseUrl
+      )
+      return link || test.report_link
+    })
+  )
+}
+
+/**
+ * Build the markdown body of the PR comment
+ * @param {object} results - Results document from collectResults
+ * @param {Array<string|null>} links - Report link per test
+ * @param {string} marker - Hidden marker for finding the comment again
+ * @returns {string} Comment body
+ */
+function buildCommentBody(results, links, marker) {
+  const headlines = {
+    completed: '✅ Revyl {kind} passed',
+    failed: '❌ Revyl {kind} failed',
+    cancelled: '🚫 Revyl {kind} cancelled',
+    timeout: '⏱️ Revyl {kind} timed out'
+  }
+  const headline = (headlines[results.status] || headlines.failed).replace(
+    '{kind}',
+    results.type
+  )
+
+  const lines = [
+    marker,
+    `### ${headline}: \`${results.name}\``,
+    '',
+    `**Task ID:** \`${results.task_id}\` · **Duration:** ${results.execution_time || 'unknown'} · ` +
+      `**Passed:** ${results.passed_tests}/${results.total_tests}`,
+    ''
+  ]
+
+  if (results.tests.length > 0) {
+    lines.push('| Test | Result | Duration | Report |')
+    lines.push('| ---- | ------ | -------- | ------ |')
+    results.tests.forEach((test, index) => {
+      const report = links[index] ? `[View report](${links[index]})` : '-'
+      lines.push(
+        `| ${test.name} | ${describeTestResult(test)} | ${formatDuration(test.duration) || '-'} | ${report} |`
+      )
+    })
+    lines.push('')
+  }
+
+  const failed = results.tests.filter(
+    test => describeTestStatus(test.status).kind === 'failed' && test.error
+  )
+  if (failed.length > 0) {
+    lines.push('<details><summary>Failures</summary>', '')
+    failed.forEach(test => {
+      lines.push(`**${test.name}**`, '', '```', test.error, '```', '')
+    })
+    lines.push('</details>', '')
+  }
+
+  // Flaky tests passed on a rerun; keep their original failure visible
+  const flaky = results.tests.filter(test => test.flaky)
+  if (flaky.length > 0) {
+    lines.push('<details><summary>Flaky tests</summary>', '')
+    flaky.forEach(test => {
+      lines.push(
+        `**${test.name}** failed with status \`${test.original_status}\`, then passed on rerun ${test.reruns.length}`,
+        '',
+        '```',
+        test.error || 'No error message reported',
+        '```',
+        ''
+      )
+    })
+    lines.push('</details>', '')
+  }
+
+  const runUrl = getRunUrl()
+  if (runUrl) lines.push(`[View workflow run](${runUrl})`)
+
+  return lines.join('\n')
+}
+
+/**
+ * Find our earlier comment on the PR by its marker
+ * @param {object} client - GitHub HTTP client
+ * @param {string} issueUrl - API URL of the PR (as an issue)
+ * @param {string} marker - Hidden marker
+ * @returns {Promise<object|null>} Existing comment or null
+ */
+async function findExistingComment(client, issueUrl, marker) {
+  for (let page = 1; ; page++) {
+    const res = await client.getJson(
+      `${issueUrl}/comments?per_page=${COMMENTS_PER_PAGE}&page=${page}`
+    )
+    const comments = res.result || []
+    const existing = comments.find(
+      comment => comment.body && comment.body.includes(marker)
+    )
+    if (existing) return existing
+    if (comments.length < COMMENTS_PER_PAGE) return null
+  }
+}
+
+/**
+ * Post the results as a sticky PR comment, updating our earlier comment if
+ * there is one. Never fails the action.
+ * @param {object} results - Results document from collectResults
+ * @param {string} targetId - Test or workflow ID the comment belongs to
+ * @param {string} githubToken - Token with pull-requests write access
+ * @param {string} backendBaseUrl - Backend base URL for the report API
+ * @returns {Promise<boolean>} True if the comment was posted or updated
+ */
+async function postPrComment(results, targetId, githubToken, backendBaseUrl) {
+  const prNumber = getPullRequestNumber()
+  if (!prNumber) {
+    core.info('💬 pr-comment: not a pull_request event - skipping PR comment')
+    return false
+  }
+  if (!githubToken) {
+    core.warning('pr-comment is enabled but no github-token was provided')
+    return false
+  }
+
+  try {
+    const repoUrl = getRepoApiUrl()
+    const issueUrl = `${repoUrl}/issues/${prNumber}`
+    const client = createGitHubClient(githubToken)
+
+    const marker = getCommentMarker(targetId)
+    const links = await getShareableLinks(results, backendBaseUrl)
+    const body = buildCommentBody(results, links, marker)
+
+    const existing = await findExistingComment(client, issueUrl, marker)
+    if (existing) {
+      await client.patchJson(`${repoUrl}/issues/comments/${existing.id}`, {
+        body
+      })
+      core.info(`💬 Updated results comment on PR #${prNumber}`)
+    } else {
+      await client.postJson(`${issueUrl}/comments`, { body })
+      core.info(`💬 Posted results comment on PR #${prNumber}`)
+    }
+    return true
+  } catch (error) {
+    core.warning(`Failed to post PR comment: ${error.message}`)
+    return false
+  }
+}
+
+module.exports = { postPrComment }
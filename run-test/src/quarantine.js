@@ -0,0 +1,100 @@
+const fs = require('fs')
+const core = require('@actions/core')
+const yaml = require('js-yaml')
+
+// Keys an entry may use for the test ID or name it quarantines
+const TEST_KEYS = ['test', 'test_id', 'id', 'name']
+
+/**
+ * Parse an expiry date. A date without a time lasts until the end of that
+ * day (UTC).
+ * @param {string} value - Expiry from the file
+ * @returns {Date|null} Moment the entry expires, or null if invalid
+ */
+function parseExpiry(value) {
+  const text = String(value)
+  const time = Date.parse(
+    /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text
+  )
+  return Number.isNaN(time) ? null : new Date(time)
+}
+
+/**
+ * Load the quarantine file: a YAML or JSON list of entries with the test ID
+ * or name, an owner, a reason and an optional expiry date. Entries may also be
+ * nested under a top-level `quarantine` key. Expired entries are flagged with
+ * a warning on the file and left out.
+ * @param {string} filePath - Path of the quarantine file
+ * @returns {Array<object>} Active entries { test, owner, reason, expires }
+ */
+function loadQuarantine(filePath) {
+  let parsed
+  try {
+    // The JSON schema keeps dates as strings
+    parsed = yaml.load(fs.readFileSync(filePath, 'utf8'), {
+      schema: yaml.JSON_SCHEMA
+    })
+  } catch (error) {
+    throw Error(
+      `Could not read quarantine-file ${filePath}: ${error.reason || error.message}`
+    )
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.quarantine || []
+  if (!Array.isArray(entries)) {
+    throw Error(
+      `Invalid quarantine-file ${filePath}: expected a list of quarantined tests`
+    )
+  }
+
+  const now = Date.now()
+  const active = []
+  entries.forEach((entry, index) => {
+    const key = TEST_KEYS.find(k => entry && entry[k])
+    if (!key || !entry.owner || !entry.reason) {
+      throw Error(
+        `Invalid quarantine-file ${filePath}: entry ${index + 1} needs a test ID or name, an owner and a reason`
+      )
+    }
+    const test = String(entry[key])
+
+    let expires = null
+    if (entry.expires) {
+      expires = parseExpiry(entry.expires)
+      if (!expires) {
+        throw Error(
+          `Invalid quarantine-file ${filePath}: entry ${index + 1} has an invalid expires date '${entry.expires}'`
+        )
+      }
+      if (expires.getTime() < now) {
+        core.warning(
+          `Quarantine of ${test} (owner: ${entry.owner}) expired on ${expires.toISOString().slice(0, 10)} - its failures count again`,
+          { title: 'Expired quarantine', file: filePath }
+        )
+        return
+      }
+    }
+    active.push({ test, owner: entry.owner, reason: entry.reason, expires })
+  })
+
+  core.info(`🧯 ${active.length} quarantined tests loaded from ${filePath}`)
+  return active
+}
+
+/**
+ * Find the quarantine entry of a test
+ * @param {Array<object>|null} quarantine - Entries from loadQuarantine
+ * @param {object} test - { test_id, name } of the test
+ * @returns {object|null} Matching entry or null
+ */
+function findQuarantineEntry(quarantine, test) {
+  if (!quarantine) return null
+  return (
+    quarantine.find(
+      entry =>
+        (test.test_id && entry.test === test.test_id) ||
+        (test.name && entry.test === test.name)
+    ) || null
+  )
+}
+
+module.exports = { loadQuarantine, findQuarantineEntry }
@@ -0,0 +1,137 @@
+const core = require('@actions/core')
+const { describeTestStatus } = require('./monitorWorkflow')
+const { runBatch } = require('./batch')
+const { classifyRun } = require('./failures')
+
+/**
+ * Failed child tests that can be queued again on their own
+ * @param {Array<object>} tests - Child test results
+ * @param {object} filter - { kinds: result kinds to rerun (see
+ *   describeTestStatus), category: only tests with this failure category }
+ * @returns {Array<object>} Matching tests with a test ID
+ */
+function getRerunnableFailures(tests, { kinds = ['failed'], category } = {}) {
+  return tests.filter(
+    test =>
+      test.test_id &&
+      kinds.includes(describeTestStatus(test.status).kind) &&
+      (!category || test.failure_category === category)
+  )
+}
+
+/**
+ * Recompute the workflow status and counts after reruns. Flaky tests count as
+ * passed; a failed or cancelled workflow passes once no child test is left
+ * failed, cancelled or unfinished.
+ * @param {object} results - Workflow results document with merged tests
+ * @returns {object} Updated results document
+ */
+function recountResults(results) {
+  const kinds = results.tests.map(test => describeTestStatus(test.status).kind)
+  const failed = results.tests[kinds.indexOf('failed')]
+  const status =
+    ['failed', 'cancelled'].includes(results.status) &&
+    kinds.every(kind => kind === 'passed')
+      ? 'completed'
+      : results.status
+
+  return {
+    ...results,
+    status,
+    success: status === 'completed',
+    passed_tests: kinds.filter(kind => kind === 'passed').length,
+    failed_tests: kinds.filter(kind => kind === 'failed').length,
+    flaky_tests: results.tests.filter(test => test.flaky).length,
+    error_message: failed ? failed.error : null,
+    failure_category: classifyRun(status, results.tests, results.error_message)
+  }
+}
+
+/**
+ * Queue the failed child tests of a workflow again, up to `attempts` times,
+ * with the same execution options (build version, variables, device). With
+ * per-platform build versions, each test gets the build of its platform. A
+ * test that failed other than on infrastructure and passes on a rerun is marked
+ * flaky and counts as passed; its original failure and every rerun stay in the
+ * results. With a category, a test is only rerun while it keeps failing with
+ * that category.
+ * @param {object} results - Results document from collectResults
+ * @param {number} attempts - Maximum number of reruns per failed test
+ * @param {object} settings - runBatch settings
+ * @param {object} filter - Tests to rerun (see getRerunnableFailures), e.g.
+ *   also the cancelled tests of an earlier run
+ * @returns {Promise<object>} Results document with the reruns merged in
+ */
+async function rerunFailedTests(results, attempts, settings, filter = {}) {
+  const { kinds = ['failed'], category } = filter
+  const { buildVersionIds, ...options } = settings.executionOptions
+  const tests = results.tests.map(test => ({ ...test }))
+  let failing = getRerunnableFailures(tests, filter)
+  const what = category
+    ? `tests with ${category} failures`
+    : `${kinds.join(' or ')} tests`
+
+  for (let attempt = 1; attempt <= attempts && failing.length > 0; attempt++) {
+    core.info('')
+    core.info(
+      `🔁 Rerun ${attempt}/${attempts}: ${failing.length} ${what} (${failing.map(test => test.name).join(', ')})`
+    )
+    const rerun = await runBatch(
+      failing.map(test => ({
+        testId: test.test_id,
+        executionOptions: {
+          ...options,
+          buildVersionId:
+            buildVersionIds?.[test.platform] || options.buildVersionId
+        }
+      })),
+      settings
+    )
+
+    failing.forEach((test, index) => {
+      const target = rerun.targets[index]
+      test.reruns = [
+        ...(test.reruns || []),
+        {
+          attempt,
+          task_id: target.task_id,
+          status: target.status,
+          report_link: target.report_link,
+          error: target.error_message,
+          failure_category: target.failure_category
+        }
+      ]
+      if (target.success) {
+        // Only a test failure that goes away on a rerun makes a test flaky
+        const wasFailed = describeTestStatus(test.status).kind === 'failed'
+        test.original_status = test.status
+        test.status = 'passed'
+        if (wasFailed && test.failure_category === 'infrastructure') {
+          core.info(
+            `🔧 ${test.name} passed on rerun ${attempt} after an infrastructure failure`
+          )
+        } else if (wasFailed) {
+          test.flaky = true
+          core.warning(
+            `Flaky test: ${test.name} failed, then passed on rerun ${attempt}`,
+            { title: 'Flaky test' }
+          )
+        }
+      }
+    })
+    failing = failing.filter(
+      test =>
+        test.status !== 'passed' &&
+        (!category || test.reruns.at(-1).failure_category === category)
+    )
+  }
+
+  if (failing.length > 0) {
+    core.info(
+      `❌ Still failing after ${attempts} rerun(s): ${failing.map(test => test.name).join(', ')}`
+    )
+  }
+  return recountResults({ ...results, tests })
+}
+
+module.exports = { getRerunnableFailures, rerunFailedTests }
@@ -0,0 +1,173 @@
+const fs = require('fs')
+const path = require('path')
+const core = require('@actions/core')
+const { fetchTestTask } = require('./tasks')
+const { fetchFinalWorkflowResults } = require('./monitorWorkflow')
+const { formatDuration } = require('./time')
+const { describeDevice } = require('./device')
+const { classifyFailure, classifyRun } = require('./failures')
+
+// Dashboard URL for test reports
+const DASHBOARD_BASE_URL = 'https://app.revyl.ai'
+
+// Child test statuses that count as passed / failed
+const PASSED_STATUSES = ['passed', 'success', 'completed']
+const FAILED_STATUSES = ['failed', 'error', 'timeout']
+
+/**
+ * Normalize the steps of a test task
+ * @param {Array|undefined} steps - Steps from the enhanced task
+ * @returns {Array<object>} [{ description, status }]
+ */
+function toSteps(steps) {
+  if (!Array.isArray(steps)) return []
+  return steps.map(step => ({
+    description:
+      step.step_description ||
+      step.description ||
+      step.name ||
+      step.action ||
+      null,
+    status: step.status || null
+  }))
+}
+
+/**
+ * Normalize a test task (enhanced test task or workflow child test)
+ * @param {object} test - Test task payload
+ * @returns {object} Per-test result
+ */
+function toTestResult(test) {
+  const steps = toSteps(test.steps)
+  const totalSteps = test.total_steps || steps.length || null
+  let completedSteps = null
+  if (typeof test.current_step_index === 'number') {
+    completedSteps = test.current_step_index + 1
+  } else if (steps.length) {
+    completedSteps = steps.filter(s =>
+      PASSED_STATUSES.includes((s.status || '').toLowerCase())
+    ).length
+  }
+
+  return {
+    name: test.test_name || test.name || test.test_id || 'Unknown Test',
+    task_id: test.task_id || null,
+    test_id: test.test_id || null,
+    history_id: test.test_history_id || null,
+    status: test.status || null,
+    duration: typeof test.duration === 'number' ? test.duration : null,
+    report_link: test.task_id
+      ? `${DASHBOARD_BASE_URL}/tests/report?taskId=${test.task_id}`
+      : null,
+    error: test.error || test.error_message || null,
+    platform: test.platform ? test.platform.toLowerCase() : null,
+    failure_category: classifyFailure(test),
+    total_steps: totalSteps,
+    completed_steps: completedSteps,
+    steps
+  }
+}
+
+/**
+ * Collect the results of a finished test or workflow into one document. The
+ * data is read back from the REST task endpoints so every monitoring path
+ * (SSE, polling, attach) produces the same results.
+ * @param {string} taskId - The task ID
+ * @param {string|null} testId - Test ID if a test
+ * @param {string|null} workflowId - Workflow ID if a workflow
+ * @param {string} finalStatus - Final status (completed, failed, cancelled)
+ * @param {string} backendBaseUrl - Backend base URL
+ * @param {object} client - HTTP client
+ * @returns {Promise<object>} Results document
+ */
+async function collectResults(
+  taskId,
+  testId,
+  workflowId,
+  finalStatus,
+  backendBaseUrl,
+  client
+) {
+  let task
+  let tests
+  if (testId) {
+    task =
+      (await fetchTestTask(taskId, backendBaseUrl, client).catch(error => {
+        // Report what the monitor saw rather than fail on a lookup error
+        core.debug(`Task lookup failed for ${taskId}: ${error.message}`)
+        return null
+      })) || {}
+    // The task's own status may lag behind the event we finished on
+    tests = [
+      toTestResult({
+        test_id: testId,
+        ...task,
+        task_id: taskId,
+        status: finalStatus
+      })
+    ]
+  } else {
+    task =
+      (await fetchFinalWorkflowResults(taskId, backendBaseUrl, client)) || {}
+    tests = (task.tests || []).map(toTestResult)
+  }
+
+  const statusOf = t => (t.status || '').toLowerCase()
+  const duration = typeof task.duration === 'number' ? task.duration : null
+  const failedTest = tests.find(t => FAILED_STATUSES.includes(statusOf(t)))
+
+  return {
+    task_id: taskId,
+    type: testId ? 'test' : 'workflow',
+    test_id: testId || null,
+    workflow_id: workflowId || null,
+    name:
+      (testId ? task.test_name : task.workflow_name) || testId || workflowId,
+    status: finalStatus,
+    success: finalStatus === 'completed',
+    started_at: task.started_at || null,
+    completed_at: task.completed_at || null,
+    duration,
+    execution_time: formatDuration(duration),
+    platform: task.platform || null,
+    device: describeDevice(task),
+    total_tests: tests.length,
+    passed_tests: tests.filter(t => PASSED_STATUSES.includes(statusOf(t)))
+      .length,
+    failed_tests: tests.filter(t => FAILED_STATUSES.includes(statusOf(t)))
+      .length,
+    total_steps: tests.reduce((sum, t) => sum + (t.total_steps || 0), 0),
+    completed_steps: tests.reduce(
+      (sum, t) => sum + (t.completed_steps || 0),
+      0
+    ),
+    report_link: testId ? tests[0].report_link : null,
+    error_message: failedTest ? failedTest.error : null,
+    failure_category: classifyRun(
+      finalStatus,
+      tests,
+      task.error_message || task.error
+    ),
+    tests
+  }
+}
+
+/**
+ * Write the results document as JSON
+ * @param {string} resultsPath - File to write
+ * @param {object} results - Results from collectResults
+ * @returns {boolean} True if the file was written
+ */
+function writeResultsFile(resultsPath, results) {
+  try {
+    fs.mkdirSync(path.dirname(path.resolve(resultsPath)), { recursive: true })
+    fs.writeFileSync(resultsPath, `${JSON.stringify(results, null, 2)}\n`)
+    core.info(`📄 Results written to ${resultsPath}`)
+    return true
+  } catch (error) {
+    core.warning(`Failed to write results file: ${error.message}`)
+    return false
+  }
+}
+
+module.exports = { collectResults, writeResultsFile }
@@ -0,0 +1,532 @@
+const { AsyncResource } = require('async_hooks')
+const core = require('@actions/core')
+const EventSource = require('eventsource')
+
+// Reconnection configuration
+const MAX_RECONNECT_ATTEMPTS = 10
+const MAX_BACKOFF_MS = 30000 // 30 seconds
+const INITIAL_BACKOFF_MS = 1000 // 1 second
+
+// How often the stall watchdog checks the stream for activity
+const WATCHDOG_INTERVAL_MS = 5000 // 5 seconds
+
+/**
+ * Calculate exponential backoff delay
+ * @param {number} attempts - Number of reconnection attempts
+ * @returns {number} Delay in milliseconds
+ */
+function calculateBackoffDelay(attempts) {
+  // Exponential backoff: 1s, 2s, 4s, 8s, 16s, 30s (capped)
+  return Math.min(MAX_BACKOFF_MS, INITIAL_BACKOFF_MS * Math.pow(2, attempts))
+}
+
+/**
+ * Safely parse JSON from SSE event data
+ * @param {any} event - The SSE event
+ * @param {string} eventType - The event type for logging
+ * @returns {object|null} Parsed data or null if parsing fails
+ */
+function safeParseEventData(event, eventType) {
+  try {
+    return JSON.parse(event.data)
+  } catch (error) {
+    core.error(`Failed to parse ${eventType} event data: ${error.message}`)
+    core.debug(`Malformed event data: ${event.data}`)
+    return null
+  }
+}
+
+/**
+ * Task IDs an event belongs to, including the parent workflow of a child test
+ * @param {object} data - Parsed event payload
+ * @returns {Array<string>} Task IDs found in the payload
+ */
+function getEventTaskIds(data) {
+  if (!data || typeof data !== 'object') return []
+  return [
+    data.task_id,
+    data.parent_workflow_task_id,
+    data.test?.task_id,
+    data.test?.parent_workflow_task_id,
+    data.workflow?.task?.task_id
+  ].filter(Boolean)
+}
+
+// One shared connection per backend, multiplexed across all subscribers
+const sharedConnections = new Map()
+
+// Runs a function in the async context this module was loaded in. The shared
+// connection's stream and timers live there rather than in the context of
+// whichever subscriber opened it (e.g. that subscriber's captured log group).
+const runDetached = AsyncResource.bind(fn => fn())
+
+/**
+ * Open the shared connection to the unified monitoring stream of a backend.
+ * It owns auth headers, reconnection with exponential backoff, Last-Event-ID
+ * resume, heartbeat and stall tracking and JSON parsing, and routes each event
+ * to the subscribers of the task it belongs to. Events for a workflow's child
+ * tests also reach the workflow's subscribers; events without a task ID
+ * (initial_state, connection_ready, heartbeat) reach every subscriber. The
+ * connection closes when its last subscriber leaves.
+ * @param {string} backendBaseUrl - Backend base URL for SSE
+ * @returns {object} Shared connection
+ */
+function openSharedConnection(backendBaseUrl) {
+  const sseUrl = `${backendBaseUrl}/api/v1/monitor/stream/unified`
+  const subscribers = new Set()
+  // Child test task ID -> parent workflow task ID, learned from events
+  const childParents = new Map()
+  const eventTypes = new Set(['connection_ready', 'heartbeat'])
+
+  let currentEventSource = null
+  let isOpen = false
+  let reconnectAttempts = 0
+  let connectionCount = 0
+  let reconnectTimeoutHandle = null
+  let watchdogHandle = null
+  let isClosed = false
+
+  // Resume and liveness tracking
+  let lastEventId = null
+  let lastConnectedAt = null
+  let lastEventAt = null
+  let lastHeartbeatAt = null
+  let lastActivityAt = Date.now()
+  let stalledAt = null
+
+  /**
+   * Close the connection and release all timers
+   */
+  function close() {
+    isClosed = true
+    subscribers.clear()
+    if (sharedConnections.get(backendBaseUrl) === connection) {
+      sharedConnections.delete(backendBaseUrl)
+    }
+    if (currentEventSource) {
+      currentEventSource.close()
+      currentEventSource = null
+    }
+    if (reconnectTimeoutHandle) {
+      clearTimeout(reconnectTimeoutHandle)
+      reconnectTimeoutHandle = null
+    }
+    if (watchdogHandle) {
+      clearInterval(watchdogHandle)
+      watchdogHandle = null
+    }
+  }
+
+  /**
+   * Close the connection and tell every subscriber why
+   */
+  function closeWith(notify) {
+    const notified = [...subscribers]
+    close()
+    notified.forEach(notify)
+  }
+
+  /**
+   * Handle a connection-level error: back off and reconnect, or give up
+   */
+  function handleConnectionError(eventSource, error) {
+    // Ignore errors from superseded connections or after close
+    if (isClosed || eventSource !== currentEventSource) return
+
+    // EventSource error events don't contain detailed error info
+    // Try to extract what we can
+    let errorMsg = 'SSE connection error'
+    if (error) {
+      if (error.message) errorMsg += `: ${error.message}`
+      else if (error.status) errorMsg += ` (HTTP ${error.status})`
+    }
+    core.warning(errorMsg)
+    scheduleReconnect(eventSource, errorMsg)
+  }
+
+  /**
+   * Drop the current connection and back off before reconnecting, or give up
+   */
+  function scheduleReconnect(eventSource, errorMsg) {
+    eventSource.close()
+    currentEventSource = null
+    isOpen = false
+    reconnectAttempts++
+
+    if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      core.error(
+        `Max reconnection attempts (${MAX_RECONNECT_ATTEMPTS}) reached`
+      )
+      const error = new Error(errorMsg)
+      closeWith(subscriber => subscriber.giveUp(error))
+      return
+    }
+
+    const timedOut = [...subscribers].filter(subscriber =>
+      subscriber.isTimedOut()
+    )
+    if (timedOut.length > 0) {
+      core.warning('No time remaining for reconnection')
+      timedOut.forEach(subscriber => subscriber.timeOut())
+    }
+    if (isClosed) return
+
+    const delay = calculateBackoffDelay(reconnectAttempts - 1)
+    core.info(
+      `⏳ Reconnecting in ${delay / 1000}s (attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`
+    )
+    reconnectTimeoutHandle = setTimeout(connect, delay)
+  }
+
+  /**
+   * Shortest stall timeout any subscriber asked for, or 0 if none did
+   */
+  function getStaleSeconds() {
+    const values = [...subscribers]
+      .map(subscriber => subscriber.staleSeconds)
+      .filter(value => value > 0)
+    return values.length > 0 ? Math.min(...values) : 0
+  }
+
+  /**
+   * (Re)start the stall watchdog for the current subscribers
+   */
+  function updateWatchdog() {
+    if (watchdogHandle) clearInterval(watchdogHandle)
+    watchdogHandle = null
+    const staleSeconds = getStaleSeconds()
+    if (isClosed || staleSeconds === 0) return
+    watchdogHandle = runDetached(() =>
+      setInterval(
+        checkForStall,
+        Math.min(WATCHDOG_INTERVAL_MS, staleSeconds * 1000)
+      )
+    )
+  }
+
+  /**
+   * Force a reconnect if the stream has gone silent. A connection can stay
+   * open without delivering anything (e.g. a proxy swallowing events), which
+   * EventSource never reports as an error.
+   */
+  function checkForStall() {
+    if (isClosed || !currentEventSource) return
+
+    const silentMs = Date.now() - lastActivityAt
+    if (silentMs < getStaleSeconds() * 1000) return
+
+    const silentSeconds = Math.round(silentMs / 1000)
+    if (stalledAt === null) stalledAt = Date.now()
+    core.warning(
+      `⚠️ SSE stream stalled - no heartbeat or events for ${silentSeconds}s, forcing reconnect`
+    )
+    scheduleReconnect(
+      currentEventSource,
+      `SSE stream stalled for ${silentSeconds}s`
+    )
+    for (const subscriber of [...subscribers]) {
+      if (isClosed) break
+      if (subscriber.staleSeconds > 0) subscriber.stall()
+    }
+  }
+
+  /**
+   * Task IDs an event should be routed by, resolving child tests to the
+   * workflow they belong to
+   */
+  function getRoutingTaskIds(data) {
+    const taskIds = getEventTaskIds(data)
+    const parentId =
+      data?.parent_workflow_task_id || data?.test?.parent_workflow_task_id
+    const childId = data?.test?.task_id || data?.task_id
+    if (parentId && childId && parentId !== childId) {
+      childParents.set(childId, parentId)
+    }
+    taskIds.forEach(taskId => {
+      if (childParents.has(taskId)) taskIds.push(childParents.get(taskId))
+    })
+    return taskIds
+  }
+
+  /**
+   * Parse an event once and hand it to the subscribers it belongs to
+   */
+  function dispatch(eventSource, eventType, event) {
+    if (isClosed || eventSource !== currentEventSource) return
+
+    lastEventAt = Date.now()
+    lastActivityAt = lastEventAt
+    if (stalledAt !== null) {
+      const downSeconds = Math.round((lastEventAt - stalledAt) / 1000)
+      core.info(`✅ SSE stream recovered after stall (${downSeconds}s)`)
+      stalledAt = null
+    }
+    if (event && event.lastEventId) lastEventId = event.lastEventId
+    if (eventType === 'heartbeat') lastHeartbeatAt = lastEventAt
+
+    const listeners = [...subscribers].filter(subscriber =>
+      subscriber.handles(eventType)
+    )
+    if (listeners.length === 0) return
+
+    const data = safeParseEventData(event, eventType)
+    if (data === null) return
+
+    const taskIds = getRoutingTaskIds(data)
+    listeners.forEach(subscriber => {
+      if (subscriber.accepts(taskIds)) subscriber.deliver(eventType, data)
+    })
+  }
+
+  /**
+   * Listen for an event type on the current and all future connections
+   */
+  function listen(eventType) {
+    if (eventTypes.has(eventType)) return
+    eventTypes.add(eventType)
+    if (currentEventSource) addListener(currentEventSource, eventType)
+  }
+
+  /**
+   * Dispatch one event type from an EventSource
+   */
+  function addListener(eventSource, eventType) {
+    eventSource.addEventListener(eventType, event =>
+      dispatch(eventSource, eventType, event)
+    )
+  }
+
+  /**
+   * Create and configure an SSE connection
+   */
+  function connect() {
+    reconnectTimeoutHandle = null
+    if (isClosed) return
+
+    const attemptInfo =
+      reconnectAttempts > 0
+        ? ` (reconnection attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`
+        : ''
+    core.debug(`Connecting to SSE stream${attemptInfo}...`)
+
+    const headers = { Authorization: `Bearer ${process.env['REVYL_API_KEY']}` }
+    // Ask the server to replay anything we missed while disconnected
+    if (lastEventId) headers['Last-Event-ID'] = lastEventId
+
+    const eventSource = new EventSource(sseUrl, { headers })
+    currentEventSource = eventSource
+    lastActivityAt = Date.now()
+    connectionCount++
+    subscribers.forEach(subscriber => subscriber.connecting())
+
+    eventSource.onopen = () => {
+      if (isClosed || eventSource !== currentEventSource) return
+      // Reset reconnection attempts on successful connection
+      reconnectAttempts = 0
+      isOpen = true
+      lastConnectedAt = Date.now()
+      lastActivityAt = lastConnectedAt
+      subscribers.forEach(subscriber => subscriber.open())
+    }
+
+    eventSource.onerror = error => handleConnectionError(eventSource, error)
+
+    eventTypes.forEach(eventType => addListener(eventSource, eventType))
+
+    eventSource.addEventListener('error', event => {
+      // Non-JSON error events are connection-level and handled by onerror
+      if (!event || typeof event.data !== 'string') return
+      if (isClosed || eventSource !== currentEventSource) return
+
+      const data = safeParseEventData(event, 'error')
+      if (!data) return
+
+      const errorMessage = data.error || data.message || 'Unknown SSE error'
+      core.error(`SSE error event: ${errorMessage}`)
+
+      // For explicit error events, don't reconnect - these are usually auth
+      // errors. Keep the status the server sent so the error can be classified.
+      const statusCode = data.status_code ?? data.status
+      const error = Object.assign(new Error(`SSE error: ${errorMessage}`), {
+        statusCode: Number.isInteger(statusCode) ? statusCode : undefined
+      })
+      closeWith(subscriber => subscriber.serverError(error))
+    })
+  }
+
+  const connection = {
+    /**
+     * Add a subscriber; it is told about the connection it joins
+     */
+    subscribe(subscriber) {
+      subscribers.add(subscriber)
+      Object.keys(subscriber.handlers).forEach(listen)
+      updateWatchdog()
+      if (currentEventSource) subscriber.connecting()
+      if (isOpen) setImmediate(() => subscriber.open())
+    },
+    /**
+     * Remove a subscriber, closing the connection when none are left
+     */
+    unsubscribe(subscriber) {
+      subscribers.delete(subscriber)
+      if (subscribers.size === 0) close()
+      else updateWatchdog()
+    },
+    isClosed: () => isClosed,
+    getStats: () => ({
+      connectionCount,
+      subscriberCount: subscribers.size,
+      lastEventId,
+      lastConnectedAt,
+      lastEventAt,
+      lastHeartbeatAt
+    })
+  }
+
+  sharedConnections.set(backendBaseUrl, connection)
+  runDetached(connect)
+  return connection
+}
+
+/**
+ * Subscribe to the unified monitoring stream. All subscriptions to the same
+ * backend share one connection (see openSharedConnection); callers only see
+ * parsed payloads for their task dispatched by event type.
+ * @param {string} backendBaseUrl - Backend base URL for SSE
+ * @param {object} options - Subscription options
+ * @param {string} [options.taskId] - Only receive events for this task and,
+ *   for a workflow, its child tests (unset receives every event)
+ * @param {object} options.handlers - Map of event type to handler, called
+ *   with (data, { reconnected }); handlers may be async
+ * @param {Function} [options.onOpen] - Called with { reconnected } each time a
+ *   connection is established
+ * @param {Function} [options.onGiveUp] - Called with an Error once
+ *   reconnection attempts are exhausted
+ * @param {Function} [options.onServerError] - Called with an Error for
+ *   explicit JSON `error` events (usually auth); these are not retried
+ * @param {number} [options.timeoutSeconds] - Overall time limit
+ * @param {Function} [options.onTimeout] - Called when the time limit is hit
+ * @param {number} [options.staleSeconds] - Force a reconnect when no
+ *   heartbeat or event arrives for this long (0 or unset disables)
+ * @param {Function} [options.onStall] - Called when a stall is detected, so
+ *   the caller can reconcile its state through the REST API
+ * @returns {object} { close, getStats } handle for the subscription
+ */
+function connectUnifiedStream(backendBaseUrl, options = {}) {
+  const {
+    taskId,
+    handlers = {},
+    onOpen,
+    onGiveUp,
+    onServerError,
+    timeoutSeconds,
+    onTimeout,
+    staleSeconds,
+    onStall
+  } = options
+
+  const startTime = Date.now()
+  let timeoutHandle = null
+  let isClosed = false
+  // Connections seen while subscribed; more than one means we reconnected
+  let connections = 0
+
+  const existing = sharedConnections.get(backendBaseUrl)
+  const connection =
+    existing && !existing.isClosed()
+      ? existing
+      : openSharedConnection(backendBaseUrl)
+
+  /**
+   * Leave the shared connection and release our timer
+   */
+  function close() {
+    if (isClosed) return
+    isClosed = true
+    if (timeoutHandle) {
+      clearTimeout(timeoutHandle)
+      timeoutHandle = null
+    }
+    connection.unsubscribe(subscriber)
+  }
+
+  const subscriber = {
+    handlers,
+    staleSeconds,
+    handles: eventType => Boolean(handlers[eventType]),
+    // Events that belong to no task (initial_state etc.) go to everyone
+    accepts: taskIds =>
+      !taskId || taskIds.length === 0 || taskIds.includes(taskId),
+    connecting: () => connections++,
+    open: () => {
+      if (!isClosed && onOpen) onOpen({ reconnected: connections > 1 })
+    },
+    deliver: (eventType, data) => {
+      if (isClosed) return
+      try {
+        const pending = handlers[eventType](data, {
+          reconnected: connections > 1
+        })
+        if (pending && typeof pending.catch === 'function') {
+          pending.catch(error =>
+            core.warning(
+              `Failed to handle ${eventType} event: ${error.message}`
+            )
+          )
+        }
+      } catch (error) {
+        core.warning(`Failed to handle ${eventType} event: ${error.message}`)
+      }
+    },
+    isTimedOut: () =>
+      timeoutSeconds !== undefined &&
+      Date.now() - startTime >= timeoutSeconds * 1000,
+    timeOut: () => {
+      if (isClosed) return
+      close()
+      if (onTimeout) onTimeout()
+    },
+    stall: () => {
+      if (!isClosed && onStall) onStall()
+    },
+    giveUp: error => {
+      isClosed = true
+      if (timeoutHandle) clearTimeout(timeoutHandle)
+      if (onGiveUp) onGiveUp(error)
+    },
+    serverError: error => {
+      isClosed = true
+      if (timeoutHandle) clearTimeout(timeoutHandle)
+      if (onServerError) onServerError(error)
+      else if (onGiveUp) onGiveUp(error)
+    }
+  }
+
+  // The shared connection calls back from its own context; run our callbacks
+  // in the caller's so their logs land where the caller's would
+  const callbacks = [
+    'open',
+    'deliver',
+    'timeOut',
+    'stall',
+    'giveUp',
+    'serverError'
+  ]
+  for (const method of callbacks) {
+    subscriber[method] = AsyncResource.bind(subscriber[method])
+  }
+
+  if (timeoutSeconds !== undefined) {
+    timeoutHandle = setTimeout(subscriber.timeOut, timeoutSeconds * 1000)
+  }
+  connection.subscribe(subscriber)
+
+  return { close, getStats: connection.getStats }
+}
+
+module.exports = {
+  MAX_RECONNECT_ATTEMPTS,
+  calculateBackoffDelay,
+  connectUnifiedStream
+}
@@ -0,0 +1,192 @@
+// Terminal statuses reported by the task APIs, normalized to our final status
+const TERMINAL_STATUSES = {
+  completed: 'completed',
+  success: 'completed',
+  passed: 'completed',
+  failed: 'failed',
+  error: 'failed',
+  timeout: 'failed',
+  cancelled: 'cancelled'
+}
+
+/**
+ * GET a task from the status API. Only a 404 means the task doesn't exist;
+ * http-client rejects other error statuses, and those errors (a 5xx during an
+ * outage, a network error) are passed on so they aren't mistaken for an
+ * unknown task ID.
+ * @param {string} url - Fully qualified task URL
+ * @param {object} client - HTTP client
+ * @returns {Promise<object|null>} Task payload or null if not found
+ */
+async function fetchTask(url, client) {
+  const res = await client.getJson(url)
+  if (res.statusCode !== 200 || !res.result) return null
+  return res.result.data || res.result
+}
+
+/**
+ * Fetch a single test execution task
+ * @param {string} taskId - The task ID
+ * @param {string} backendBaseUrl - Backend base URL
+ * @param {object} client - HTTP client
+ * @returns {Promise<object|null>} Enhanced test execution task or null
+ */
+async function fetchTestTask(taskId, backendBaseUrl, client) {
+  const params = new URLSearchParams({ task_id: taskId })
+  return fetchTask(
+    `${backendBaseUrl}/api/v1/tests/get_enhanced_test_execution_task?${params}`,
+    client
+  )
+}
+
+/**
+ * Fetch a workflow execution task
+ * @param {string} taskId - The task ID
+ * @param {string} backendBaseUrl - Backend base URL
+ * @param {object} client - HTTP client
+ * @returns {Promise<object|null>} Workflow task or null
+ */
+async function fetchWorkflowTask(taskId, backendBaseUrl, client) {
+  return fetchTask(
+    `${backendBaseUrl}/api/v1/workflows/tasks/workflow_task/${taskId}`,
+    client
+  )
+}
+
+/**
+ * Look up an existing task and detect whether it is a test or a workflow
+ * @param {string} taskId - The task ID
+ * @param {string} backendBaseUrl - Backend base URL
+ * @param {object} client - HTTP client
+ * @returns {Promise<object|null>} { testId, workflowId, task } or null
+ */
+async function resolveTask(taskId, backendBaseUrl, client) {
+  const workflowTask = await fetchWorkflowTask(taskId, backendBaseUrl, client)
+  if (workflowTask && workflowTask.workflow_id) {
+    return {
+      testId: null,
+      workflowId: workflowTask.workflow_id,
+      task: workflowTask
+    }
+  }
+
+  const testTask = await fetchTestTask(taskId, backendBaseUrl, client)
+  if (testTask && testTask.test_id) {
+    return { testId: testTask.test_id, workflowId: null, task: testTask }
+  }
+
+  return null
+}
+
+// Platforms accepted as keys of build-version-ids
+const BUILD_PLATFORMS = ['ios', 'android']
+
+/**
+ * Parse the build-version-ids input, a JSON object mapping platform to build
+ * version ID, e.g. { "ios": "...", "android": "..." }
+ * @param {string} value - Raw input value
+ * @returns {object|null} Map with lowercased platform keys, or null if empty
+ */
+function parseBuildVersionIds(value) {
+  if (!value || !value.trim()) return null
+
+  let parsed
+  try {
+    parsed = JSON.parse(value)
+  } catch (error) {
+    throw Error(`Invalid build-version-ids: ${error.message}`)
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw Error(
+      'Invalid build-version-ids: expected a JSON object of platform to build version ID'
+    )
+  }
+
+  const buildVersionIds = {}
+  for (const [platform, versionId] of Object.entries(parsed)) {
+    const key = platform.trim().toLowerCase()
+    if (!BUILD_PLATFORMS.includes(key)) {
+      throw Error(
+        `Invalid build-version-ids: unknown platform '${platform}' (expected one of: ${BUILD_PLATFORMS.join(', ')})`
+      )
+    }
+    if (typeof versionId !== 'string' || !versionId.trim()) {
+      throw Error(
+        `Invalid build-version-ids: build version ID for ${key} must be a non-empty string`
+      )
+    }
+    buildVersionIds[key] = versionId.trim()
+  }
+  return Object.keys(buildVersionIds).length > 0 ? buildVersionIds : null
+}
+
+/**
+ * Build the execution request for a test or workflow
+ * @param {string|null} testId - Test ID if running a test
+ * @param {string|null} workflowId - Workflow ID if running a workflow
+ * @param {string} deviceBaseUrl - Device base URL for execution API
+ * @param {object} options - { retries, buildVersionId, buildVersionIds
+ *   (per-platform builds, workflows only), variables, device (fields from
+ *   getDeviceTarget) }
+ * @returns {object} { url, body }
+ */
+function buildExecutionRequest(testId, workflowId, deviceBaseUrl, options) {
+  const { retries, buildVersionId, buildVersionIds, variables, device } =
+    options
+  const endpoint = testId
+    ? '/api/execute_test_id_async'
+    : '/api/execute_workflow_id_async'
+  const body = {
+    ...(testId ? { test_id: testId } : { workflow_id: workflowId }),
+    retries,
+    ...(buildVersionId && { build_version_id: buildVersionId }),
+    ...(!testId && buildVersionIds && { build_version_ids: buildVersionIds }),
+    ...(variables && { variables }),
+    ...device
+  }
+  return { url: `${deviceBaseUrl}${endpoint}`, body }
+}
+
+/**
+ * Queue a test or workflow execution
+ * @param {object} client - HTTP client
+ * @param {string} initUrl - Execution endpoint URL
+ * @param {object} body - Request body
+ * @param {string} kind - 'test' or 'workflow', for error messages
+ * @returns {Promise<string>} The queued task ID
+ */
+async function queueExecution(client, initUrl, body, kind) {
+  const res = await client.postJson(initUrl, body)
+
+  if (res.statusCode !== 200) {
+    throw Error(
+      `Failed to queue ${kind}: API returned status code ${res.statusCode}`
+    )
+  }
+
+  if (!res.result || !res.result.task_id) {
+    throw Error(`Failed to queue ${kind}: task_id missing in API response`)
+  }
+
+  return res.result.task_id
+}
+
+/**
+ * Map a task status to a final status
+ * @param {string|undefined} status - Status reported by the API
+ * @returns {string|null} completed, failed, cancelled or null if not finished
+ */
+function getTerminalStatus(status) {
+  if (!status) return null
+  return TERMINAL_STATUSES[status.toLowerCase()] || null
+}
+
+module.exports = {
+  fetchTestTask,
+  fetchWorkflowTask,
+  resolveTask,
+  getTerminalStatus,
+  parseBuildVersionIds,
+  buildExecutionRequest,
+  queueExecution
+}
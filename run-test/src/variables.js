@@ -0,0 +1,78 @@
+const core = require('@actions/core')
+const yaml = require('js-yaml')
+
+/**
+ * Parse a variables input, a JSON or YAML map of name to value. Scalar values
+ * are sent as strings.
+ * @param {string} value - Raw input value
+ * @param {string} inputName - Input name, for error messages
+ * @returns {object|null} Map of name to string value, or null if empty
+ */
+function parseVariables(value, inputName) {
+  if (!value || !value.trim()) return null
+
+  let parsed
+  try {
+    // JSON is valid YAML, so one parser covers both formats. The JSON schema
+    // keeps dates and yes/no as written instead of converting them.
+    parsed = yaml.load(value, { schema: yaml.JSON_SCHEMA })
+  } catch (error) {
+    throw Error(`Invalid ${inputName}: ${error.reason || error.message}`)
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw Error(
+      `Invalid ${inputName}: expected a JSON or YAML map of name to value`
+    )
+  }
+
+  const variables = {}
+  for (const [name, variable] of Object.entries(parsed)) {
+    if (variable === null || typeof variable === 'object') {
+      throw Error(
+        `Invalid ${inputName}: value of ${name} must be a string, number or boolean`
+      )
+    }
+    variables[name] = String(variable)
+  }
+  return Object.keys(variables).length > 0 ? variables : null
+}
+
+/**
+ * Register variable values with the runner so they are masked in every log
+ * line, including progress lines echoing what a step typed. Multi-line values
+ * are also masked line by line, as the runner matches single lines.
+ * @param {object} variables - Map of name to value
+ */
+function maskVariables(variables) {
+  for (const value of Object.values(variables)) {
+    if (!value) continue
+    core.setSecret(value)
+    value
+      .split(/\r?\n/)
+      .filter(line => line.trim() && line !== value)
+      .forEach(line => core.setSecret(line))
+  }
+}
+
+/**
+ * Read the variables and secret-variables inputs. Secret values are masked
+ * before anything else is logged and take precedence over plain variables
+ * with the same name.
+ * @returns {object|null} Variables to send with the execution request
+ */
+function getExecutionVariables() {
+  const secretVariables = parseVariables(
+    core.getInput('secret-variables', { required: false }),
+    'secret-variables'
+  )
+  if (secretVariables) maskVariables(secretVariables)
+
+  const variables = parseVariables(
+    core.getInput('variables', { required: false }),
+    'variables'
+  )
+  if (!variables && !secretVariables) return null
+  return { ...variables, ...secretVariables }
+}
+
+module.exports = { parseVariables, getExecutionVariables }